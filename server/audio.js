@@ -0,0 +1,204 @@
+/**
+ * Small PCM helpers shared by the STT/TTS providers.
+ * All functions work on 16-bit little-endian mono PCM Buffers unless noted otherwise.
+ */
+
+/**
+ * Root-mean-square level of a PCM S16LE buffer (0..32768).
+ */
+export function rmsS16(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const s = pcm.readInt16LE(i * 2);
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Wrap raw PCM S16LE in a minimal WAV container.
+ */
+export function pcmToWav(pcm, sampleRate = 16000, numChannels = 1) {
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * bitsPerSample / 8;
+  const blockAlign = numChannels * bitsPerSample / 8;
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM fmt chunk size
+  header.writeUInt16LE(1, 20);  // audio format = PCM
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Streaming windowed-sinc (Blackman) low-pass FIR over Float64Array chunks. `cutoff` is a
+ * fraction of the sample rate; the last `taps - 1` samples carry over to the next chunk.
+ */
+function createLowPass(cutoff, taps) {
+  const coefficients = new Float64Array(taps);
+  const mid = (taps - 1) / 2;
+  let sum = 0;
+  for (let i = 0; i < taps; i++) {
+    const x = i - mid;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (taps - 1));
+    coefficients[i] = sinc * window;
+    sum += coefficients[i];
+  }
+  for (let i = 0; i < taps; i++) coefficients[i] /= sum; // unity gain at DC
+
+  let history = new Float64Array(taps - 1);
+  return (samples) => {
+    const input = new Float64Array(history.length + samples.length);
+    input.set(history);
+    input.set(samples, history.length);
+    const out = new Float64Array(samples.length);
+    for (let n = 0; n < samples.length; n++) {
+      let acc = 0;
+      for (let k = 0; k < taps; k++) acc += coefficients[k] * input[n + k];
+      out[n] = acc;
+    }
+    history = input.slice(input.length - history.length);
+    return out;
+  };
+}
+
+/**
+ * Streaming linear-interpolation resampler for PCM S16LE mono.
+ * Returns a function that takes successive chunks and returns resampled chunks; state
+ * (fractional position, odd trailing byte, last sample) carries across calls so chunk
+ * boundaries don't click. Downsampling first low-passes below the new Nyquist frequency,
+ * so e.g. 48kHz mic audio doesn't fold its 8–24kHz content into the speech band.
+ */
+export function createResampler(fromRate, toRate) {
+  if (fromRate === toRate) return (chunk) => chunk;
+
+  const step = fromRate / toRate;
+  const lowPass = toRate < fromRate ? createLowPass(0.45 * toRate / fromRate, 32 * Math.ceil(step) + 1) : null;
+  let carry = Buffer.alloc(0); // odd byte left over from the previous chunk
+  let prev = 0;                // last input sample of the previous chunk
+  let pos = 0;                 // read position relative to the current chunk (-1 = prev)
+
+  return (chunk) => {
+    const input = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const count = Math.floor(input.length / 2);
+    carry = input.subarray(count * 2);
+    if (count === 0) return Buffer.alloc(0);
+
+    let samples = new Float64Array(count);
+    for (let i = 0; i < count; i++) samples[i] = input.readInt16LE(i * 2);
+    if (lowPass) samples = lowPass(samples);
+
+    const sampleAt = (i) => (i < 0 ? prev : samples[i]);
+    const out = [];
+    // Interpolate only where both neighbours are known; the rest waits for the next chunk
+    while (pos < count - 1) {
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      const a = sampleAt(i);
+      const b = sampleAt(i + 1);
+      out.push(Math.round(a + (b - a) * frac));
+      pos += step;
+    }
+    pos -= count;
+    prev = samples[count - 1];
+
+    const buf = Buffer.alloc(out.length * 2);
+    out.forEach((s, i) => buf.writeInt16LE(Math.max(-32768, Math.min(32767, s)), i * 2));
+    return buf;
+  };
+}
+
+/**
+ * Extract PCM S16LE from a WAV file. Returns { pcm, sampleRate, channels } or throws
+ * for anything but 16-bit PCM.
+ */
+export function wavToPcm(wav) {
+  if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        audioFormat: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!fmt || fmt.audioFormat !== 1 || fmt.bitsPerSample !== 16) {
+        throw new Error('Only 16-bit PCM WAV is supported');
+      }
+      return { pcm: wav.subarray(body, Math.min(body + size, wav.length)), sampleRate: fmt.sampleRate, channels: fmt.channels };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Average interleaved channels down to mono.
+ */
+export function mixToMono(pcm, channels) {
+  if (channels === 1) return pcm;
+  const frames = Math.floor(pcm.length / (2 * channels));
+  const out = Buffer.alloc(frames * 2);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += pcm.readInt16LE((f * channels + c) * 2);
+    out.writeInt16LE(Math.round(sum / channels), f * 2);
+  }
+  return out;
+}
+
+/**
+ * Duplicate a mono signal into `channels` interleaved channels.
+ */
+export function expandChannels(pcm, channels) {
+  if (channels === 1) return pcm;
+  const frames = Math.floor(pcm.length / 2);
+  const out = Buffer.alloc(frames * 2 * channels);
+  for (let f = 0; f < frames; f++) {
+    const s = pcm.readInt16LE(f * 2);
+    for (let c = 0; c < channels; c++) out.writeInt16LE(s, (f * channels + c) * 2);
+  }
+  return out;
+}
+
+/**
+ * Streaming converter between two PCM S16LE formats ({ sampleRate, channels }).
+ * Mixes down to mono, resamples, then expands to the target channel count.
+ */
+export function createPcmConverter(from, to) {
+  if (from.sampleRate === to.sampleRate && from.channels === to.channels) return (chunk) => chunk;
+
+  const frameBytes = 2 * from.channels;
+  const resample = createResampler(from.sampleRate, to.sampleRate);
+  let carry = Buffer.alloc(0); // partial interleaved frame from the previous chunk
+
+  return (chunk) => {
+    const input = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const whole = input.length - (input.length % frameBytes);
+    carry = input.subarray(whole);
+    return expandChannels(resample(mixToMono(input.subarray(0, whole), from.channels)), to.channels);
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * API authentication for the WebSocket and REST endpoints.
+ *
+ * Two kinds of bearer tokens:
+ *   - Device tokens  `dv_<id>_<secret>` — long-lived, one per device, issued and revoked
+ *     with `npm run tokens`. Only a SHA-256 hash of the secret is stored (tokens.json).
+ *   - Signed tokens  `dvs.<payload>.<hmac>` — short-lived, HMAC-SHA256 with AUTH_SECRET,
+ *     minted by a device via POST /auth/token. Handy in a `?token=` query string. They
+ *     die with the device token they were minted from.
+ *
+ * Tokens are accepted from `Authorization: Bearer <token>` or a `?token=` query parameter
+ * (for WebSocket clients that can't set headers).
+ *
+ * A device token can be issued as an admin token (`npm run tokens -- issue <device> --admin`);
+ * admin routes such as /tts-cache take only those. Signed tokens are never admin.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+export class TokenStore {
+  constructor(file) {
+    this.file = file;
+    this.tokens = [];
+    this.mtimeMs = -1;
+  }
+
+  // Re-read the file whenever it changed on disk, so CLI revocations apply without a restart
+  refresh() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.tokens = [];
+      this.mtimeMs = -1;
+      return this.tokens;
+    }
+    if (mtimeMs !== this.mtimeMs) {
+      this.tokens = JSON.parse(fs.readFileSync(this.file, 'utf8')).tokens || [];
+      this.mtimeMs = mtimeMs;
+    }
+    return this.tokens;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ tokens: this.tokens }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+    this.mtimeMs = fs.statSync(this.file).mtimeMs;
+  }
+
+  list() {
+    return this.refresh().map(({ hash, ...rest }) => rest);
+  }
+
+  active(id) {
+    return this.refresh().find((t) => t.id === id && !t.revokedAt) || null;
+  }
+
+  /**
+   * Create a device token. The plaintext token is returned once and never stored.
+   *
+   * @param {string} device
+   * @param {object} [options]
+   * @param {boolean} [options.admin=false] - may use the admin routes
+   */
+  issue(device, { admin = false } = {}) {
+    this.refresh();
+    const id = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    this.tokens.push({ id, device, hash: hashSecret(secret), createdAt: new Date().toISOString(), ...(admin && { admin: true }) });
+    this.save();
+    return { id, device, admin, token: `dv_${id}_${secret}` };
+  }
+
+  revoke(idOrDevice) {
+    this.refresh();
+    const matches = this.tokens.filter((t) => !t.revokedAt && (t.id === idOrDevice || t.device === idOrDevice));
+    const now = new Date().toISOString();
+    for (const token of matches) token.revokedAt = now;
+    if (matches.length > 0) this.save();
+    return matches.map((t) => t.id);
+  }
+
+  verifyDeviceToken(token) {
+    const match = /^dv_([0-9a-f]{8})_([A-Za-z0-9_-]+)$/.exec(token);
+    if (!match) return null;
+    const entry = this.active(match[1]);
+    if (!entry || !safeEqual(entry.hash, hashSecret(match[2]))) return null;
+    return { tokenId: entry.id, device: entry.device, kind: 'device', admin: entry.admin === true };
+  }
+}
+
+/**
+ * Mint a short-lived signed token for an authenticated device token id.
+ */
+export function signToken(secret, { tokenId, device }, ttlSeconds) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: tokenId,
+    dev: device,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `dvs.${payload}.${signature}`;
+}
+
+function verifySignedToken(secret, store, token) {
+  const [prefix, payload, signature] = token.split('.');
+  if (prefix !== 'dvs' || !payload || !signature || !secret) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  if (!safeEqual(expected, signature)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (_) {
+    return null;
+  }
+  if (!claims.exp || claims.exp * 1000 < Date.now()) return null;
+  if (!store.active(claims.sub)) return null; // revoked with its device token
+
+  return { tokenId: claims.sub, device: claims.dev, kind: 'signed', admin: false, expiresAt: claims.exp };
+}
+
+/**
+ * Pull a bearer token from the Authorization header or the `token` query parameter.
+ */
+export function extractToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  return new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+}
+
+/**
+ * @param {object} options
+ * @param {boolean} options.enabled
+ * @param {TokenStore} options.store
+ * @param {string} [options.secret] - AUTH_SECRET for signed tokens
+ */
+export function createAuthenticator({ enabled, store, secret }) {
+  return {
+    enabled,
+
+    /**
+     * Returns the authenticated principal `{ tokenId, device, kind, admin }`, or null.
+     * When auth is disabled every request is an anonymous principal that may do anything.
+     */
+    authenticate(req) {
+      if (!enabled) return { tokenId: null, device: 'anonymous', kind: 'none', admin: true };
+      const token = extractToken(req);
+      if (!token) return null;
+      try {
+        return token.startsWith('dvs.')
+          ? verifySignedToken(secret, store, token)
+          : store.verifyDeviceToken(token);
+      } catch (error) {
+        logger.error('⚠️ Token verification failed', { error });
+        return null;
+      }
+    }
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Audio codecs for the client transport.
+ *
+ * `pcm_s16le` is the raw default. `opus` (via opusscript, WASM — no native build) cuts
+ * bandwidth from 256 kbps to ~24 kbps per direction, which matters on mobile data.
+ * Opus always works on 20ms frames: the encoder buffers partial frames, and `flush()`
+ * pads the tail of a sentence with silence.
+ */
+
+import OpusScript from 'opusscript';
+
+export const AUDIO_CODECS = ['pcm_s16le', 'opus'];
+
+const OPUS_FRAME_MS = 20;
+const OPUS_BITRATE = 24000;
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+/**
+ * Opus only runs at a handful of rates — anything else is carried at 48 kHz.
+ */
+export function opusSampleRate(requested) {
+  return OPUS_SAMPLE_RATES.includes(requested) ? requested : 48000;
+}
+
+export function createOpusEncoder({ sampleRate = 16000, channels = 1 } = {}) {
+  const opus = new OpusScript(sampleRate, channels, OpusScript.Application.VOIP);
+  opus.setBitrate(OPUS_BITRATE);
+  const frameSamples = sampleRate * OPUS_FRAME_MS / 1000;
+  const frameBytes = frameSamples * channels * 2;
+  let pending = Buffer.alloc(0);
+
+  return {
+    frameMs: OPUS_FRAME_MS,
+
+    /**
+     * @returns {Buffer[]} encoded packets for every complete 20ms frame
+     */
+    encode(pcm) {
+      pending = pending.length ? Buffer.concat([pending, pcm]) : pcm;
+      const packets = [];
+      while (pending.length >= frameBytes) {
+        packets.push(Buffer.from(opus.encode(pending.subarray(0, frameBytes), frameSamples)));
+        pending = pending.subarray(frameBytes);
+      }
+      return packets;
+    },
+
+    flush() {
+      if (pending.length === 0) return [];
+      const last = Buffer.alloc(frameBytes);
+      pending.copy(last);
+      pending = Buffer.alloc(0);
+      return [Buffer.from(opus.encode(last, frameSamples))];
+    },
+
+    destroy() {
+      opus.delete();
+    }
+  };
+}
+
+export function createOpusDecoder({ sampleRate = 16000, channels = 1 } = {}) {
+  const opus = new OpusScript(sampleRate, channels, OpusScript.Application.VOIP);
+
+  return {
+    /**
+     * @returns {Buffer} PCM S16LE for one Opus packet
+     */
+    decode(packet) {
+      return Buffer.from(opus.decode(packet));
+    },
+
+    destroy() {
+      opus.delete();
+    }
+  };
+}
+
+/**
+ * Encode a complete PCM block (one TTS sentence) into self-contained Opus packets.
+ */
+export function encodeOpusBlock(pcm, options) {
+  const encoder = createOpusEncoder(options);
+  try {
+    return [...encoder.encode(pcm), ...encoder.flush()];
+  } finally {
+    encoder.destroy();
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Conversation memory for a single voice session.
+ *
+ * Keeps the user/assistant turns that are sent to the LLM on every request. When the
+ * history grows past its turn or token budget, the oldest turns are folded into a
+ * rolling summary (via the injected `summarize` function) so long sessions keep working.
+ * Turns that are too long for the budget on their own are shortened instead.
+ */
+
+import { logger } from './logger.js';
+import { summaryHeader } from './prompts.js';
+
+// Rough token estimate — good enough for budgeting without pulling in a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+export class ConversationHistory {
+  /**
+   * @param {object} options
+   * @param {number} options.maxTurns   - user+assistant pairs kept verbatim before compacting
+   * @param {number} options.maxTokens  - token budget for summary + verbatim turns
+   * @param {number} options.keepTurns  - most recent turns that are never summarized
+   * @param {(previousSummary: string, messages: object[], language: string|null) => Promise<string>} options.summarize
+   */
+  constructor({ maxTurns = 10, maxTokens = 2000, keepTurns = 4, summarize = null } = {}) {
+    this.maxTurns = maxTurns;
+    this.maxTokens = maxTokens;
+    this.keepTurns = keepTurns;
+    this.summarize = summarize;
+    this.summary = '';
+    this.messages = [];
+    this.compacting = null;
+  }
+
+  addUser(text) {
+    this.messages.push({ role: 'user', content: text });
+  }
+
+  addAssistant(text) {
+    if (!text || !text.trim()) return;
+    this.messages.push({ role: 'assistant', content: text });
+  }
+
+  /**
+   * Replace the latest assistant message, e.g. with only the part that was actually spoken
+   * before an interrupt. An empty `text` removes it.
+   */
+  replaceLastAssistant(text) {
+    const last = this.messages[this.messages.length - 1];
+    if (last?.role !== 'assistant') return;
+    if (text && text.trim()) last.content = text;
+    else this.messages.pop();
+  }
+
+  get turnCount() {
+    return this.messages.filter((m) => m.role === 'user').length;
+  }
+
+  tokenCount() {
+    return this.messages.reduce((sum, m) => sum + estimateTokens(m.content), estimateTokens(this.summary));
+  }
+
+  /**
+   * Build the chat-completions `messages` array for the next request.
+   *
+   * @param {string} systemPrompt
+   * @param {string|null} language - the turn's; the summary is introduced in it
+   */
+  buildMessages(systemPrompt, language) {
+    const messages = [{ role: 'system', content: systemPrompt }];
+    if (this.summary) {
+      messages.push({ role: 'system', content: `${summaryHeader(language)} ${this.summary}` });
+    }
+    return messages.concat(this.messages);
+  }
+
+  isOverBudget() {
+    return this.turnCount > this.maxTurns || this.tokenCount() > this.maxTokens;
+  }
+
+  /**
+   * Index into `messages` where the verbatim tail (the last `keepTurns` user turns) starts.
+   */
+  tailStart() {
+    let seen = 0;
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.messages[i].role === 'user' && ++seen === this.keepTurns) return i;
+    }
+    return 0;
+  }
+
+  /**
+   * Summarize older turns if over budget. Safe to call after every turn — concurrent
+   * calls share one in-flight compaction. Turns appended while summarizing are kept.
+   *
+   * @param {string|null} language - the session's current language; the summary is written in it
+   */
+  compact(language) {
+    if (this.compacting || !this.isOverBudget()) return this.compacting || Promise.resolve();
+
+    const cut = this.tailStart();
+    if (cut === 0) {
+      // Nothing left to summarize, but a few long turns can still be over the token budget
+      this.truncate();
+      return Promise.resolve();
+    }
+    const older = this.messages.slice(0, cut);
+
+    this.compacting = (async () => {
+      try {
+        if (this.summarize) {
+          this.summary = (await this.summarize(this.summary, older, language)).trim();
+        }
+      } catch (error) {
+        // Summarization failed — drop the old turns anyway so the budget holds.
+        logger.warn('⚠️ Conversation summarization failed', { error });
+      }
+      this.messages.splice(0, older.length);
+      this.truncate();
+    })().finally(() => {
+      this.compacting = null;
+    });
+
+    return this.compacting;
+  }
+
+  /**
+   * Last resort for the token budget: shorten the oldest verbatim messages until it holds.
+   * The latest message — usually the question being answered — is left whole.
+   */
+  truncate() {
+    let excess = this.tokenCount() - this.maxTokens;
+    if (excess <= 0) return;
+    const before = this.tokenCount();
+    for (let i = 0; excess > 0 && i < this.messages.length - 1; i++) {
+      const message = this.messages[i];
+      const tokens = estimateTokens(message.content);
+      const keep = Math.max(0, message.content.length - excess * 4 - 1);
+      message.content = `${message.content.slice(0, keep).trimEnd()}…`;
+      excess -= tokens - estimateTokens(message.content);
+    }
+    logger.info('✂️ Conversation truncated to fit the token budget', { before, after: this.tokenCount() });
+  }
+
+  clear() {
+    this.summary = '';
+    this.messages = [];
+  }
+
+  // Snapshot/restore for the session store (see session-store.js).
+  toJSON() {
+    return { summary: this.summary, messages: this.messages };
+  }
+
+  restore({ summary = '', messages = [] } = {}) {
+    this.summary = summary;
+    this.messages = messages.filter((m) => m && (m.role === 'user' || m.role === 'assistant'));
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Binary WebSocket audio framing.
+ *
+ * Once a client negotiates `transport: "binary"` in its hello, audio travels as binary
+ * WebSocket messages instead of base64-in-JSON. Control messages stay JSON (text frames).
+ *
+ * Frame layout (little-endian), followed directly by the audio payload:
+ *
+ *   offset  size  field
+ *   0       1     version     (FRAME_VERSION)
+ *   1       1     codec       (CODECS: 0 = pcm_s16le, 1 = opus — one packet per frame)
+ *   2       1     channels
+ *   3       1     flags       (bit 0 = last frame of this stream)
+ *   4       4     streamId    (uplink: client-chosen, downlink: TTS sentence index)
+ *   8       4     sequence    (per direction, per connection)
+ *   12      4     sampleRate
+ */
+
+export const FRAME_VERSION = 1;
+export const HEADER_BYTES = 16;
+export const FLAG_END_OF_STREAM = 0x01;
+
+// Index = codec id on the wire
+export const CODECS = ['pcm_s16le', 'opus'];
+
+export function encodeFrame({ codec = 'pcm_s16le', channels = 1, sampleRate = 16000, streamId = 0, sequence = 0, end = false }, payload) {
+  const codecId = CODECS.indexOf(codec);
+  if (codecId < 0) throw new Error(`Unknown codec: ${codec}`);
+
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.writeUInt8(FRAME_VERSION, 0);
+  header.writeUInt8(codecId, 1);
+  header.writeUInt8(channels, 2);
+  header.writeUInt8(end ? FLAG_END_OF_STREAM : 0, 3);
+  header.writeUInt32LE(streamId >>> 0, 4);
+  header.writeUInt32LE(sequence >>> 0, 8);
+  header.writeUInt32LE(sampleRate, 12);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * @returns {{ codec, channels, sampleRate, streamId, sequence, end, payload }}
+ */
+export function decodeFrame(frame) {
+  if (frame.length < HEADER_BYTES) throw new Error('Binary frame too short');
+  const version = frame.readUInt8(0);
+  if (version !== FRAME_VERSION) throw new Error(`Unsupported frame version ${version}`);
+
+  const codec = CODECS[frame.readUInt8(1)];
+  if (!codec) throw new Error(`Unknown codec id ${frame.readUInt8(1)}`);
+
+  return {
+    codec,
+    channels: frame.readUInt8(2),
+    end: (frame.readUInt8(3) & FLAG_END_OF_STREAM) !== 0,
+    streamId: frame.readUInt32LE(4),
+    sequence: frame.readUInt32LE(8),
+    sampleRate: frame.readUInt32LE(12),
+    payload: frame.subarray(HEADER_BYTES)
+  };
+}
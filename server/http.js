@@ -0,0 +1,41 @@
+/**
+ * Shared HTTP helpers for provider calls.
+ */
+
+// === Helper: Fetch with timeout ===
+// `options.signal` (e.g. a turn's cancellation) aborts the request too, including the body stream.
+export function fetchWithTimeout(url, options = {}, timeoutMs = 60000) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+  return fetch(url, { ...options, signal })
+    .finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Read a request body into a Buffer, rejecting bodies larger than `maxBytes`.
+ */
+export async function readBody(req, maxBytes = 1024 * 1024) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw Object.assign(new Error('Request body too large'), { statusCode: 413 });
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Milliseconds a `Retry-After` response header asks to wait (seconds or an HTTP date), or
+ * undefined when there is none.
+ */
+export function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
@@ -2,268 +2,445 @@
  * Donna Voice Server v2 - Pure Voice Pipeline
  *
  * WebSocket server for real-time voice interaction with:
- * - Speaker Verification (Azure Speaker Recognition - optional)
- * - Speech-to-Text (Deepgram Nova-3 real-time streaming)
- * - AI Response (OpenClaw Gateway)
- * - Text-to-Speech (ElevenLabs multilingual)
- * - Barge-in support (interrupt during playback)
+ * - Speaker Verification (Azure Speaker Recognition or local voiceprints - optional, per utterance)
+ * - Speech-to-Text (Deepgram Nova-3 real-time streaming, or local/fake providers — see stt/)
+ * - AI Response (OpenClaw Gateway), with server-side tools (time, timers/reminders, notes — see tools/)
+ * - Text-to-Speech (ElevenLabs multilingual, or Piper/fake providers — see tts/)
+ * - Barge-in support (client `interrupt`, or server-side VAD during playback)
  *
  * Protocol:
  * Client → Server:
- *   {type: "audio", data: <base64 PCM 16-bit 16kHz mono>}
+ *   {type: "session.update", settings: {language?, voice?, voice_settings?, model?, persona?, ...}}
+ *   {type: "audio", data: <base64 PCM 16-bit, 16kHz mono unless negotiated>}
  *   {type: "interrupt"}
+ *   {type: "listen_start"}, {type: "listen_stop"}   (listenMode push-to-talk/hold-to-talk: audio only counts in between)
+ *   {type: "text", text: "..."}   (typed input — same turn as a spoken one)
+ *   {type: "hello", sessionId?: "...", settings?: {...}}   (or connect with ?session=<id>)
+ *   {type: "hello", input?: {sampleRate, channels}, output?: {sampleRate, channels}}   (8000–48000 Hz, 1–2 ch)
  *
  * Server → Client:
  *   {type: "state", state: "listening|processing|speaking"}
- *   {type: "audio", format: "pcm_s16le", sampleRate: 16000, channels: 1, data: <base64 PCM>}
+ *   {type: "audio", format: "pcm_s16le", sampleRate: <output rate>, channels: <output channels>, index: n, text: "<sentence>", data: <base64 PCM>}
  *   {type: "audio_end"}
+ *   {type: "transcript_partial", text: "..."}   (live caption while the user speaks)
  *   {type: "transcript", text: "..."}
+ *   {type: "response_delta", text: "..."}, {type: "response_done", text: "..."}
+ *   {type: "audio_text", index: n, text: "..."}   (binary transport: sentence spoken by stream n)
+ *   {type: "session", sessionId: "...", resumed: bool, turns: n}
+ *   {type: "speaker", verified: bool, userId: "...", score: 0..1}
+ *   {type: "barge_in"}   (server VAD heard the user during playback — stop playing now)
+ *   {type: "language", language: "en"}   (language: "auto" — detected language of the utterance)
+ *   {type: "announcement", text: "..."}   (a timer/reminder went off; spoken right after)
+ *   {type: "timing", turnId: n, outcome: "completed|interrupted|error", firstTokenMs?, firstTtsByteMs?, firstAudioMs?, audioEndMs?}
+ *   {type: "apology", stage: "stt|llm|tts", text: "..."}   (every provider of a stage failed; spoken right after if TTS allows)
  */
 
 import { WebSocketServer } from 'ws';
 import http from 'http';
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
 import { config } from 'dotenv';
-import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+import { ConversationHistory } from './conversation.js';
+import { buildSystemPrompt, buildSummaryRequest, DEFAULT_PERSONA } from './prompts.js';
+import { createSessionStore, newSessionRecord, isValidSessionId } from './session-store.js';
+import { createSTTSession, sttProviderInfo, STT_PROVIDERS } from './stt/index.js';
+import { createTTSProviders, pickSampleRate, TTS_PROVIDERS } from './tts/index.js';
+import { DEFAULT_VOICE_SETTINGS } from './tts/elevenlabs.js';
+import { TTSCache, isValidCacheKey } from './tts/cache.js';
+import { TTSScheduler } from './tts/scheduler.js';
+import { createSpeakerVerifier, isValidUserId, SPEAKER_BACKENDS } from './speaker/index.js';
+import { wavToPcm, pcmToWav, createResampler, createPcmConverter, expandChannels } from './audio.js';
+import { TokenStore, createAuthenticator, signToken } from './auth.js';
+import { fetchWithTimeout, readBody } from './http.js';
+import { encodeFrame, decodeFrame } from './framing.js';
+import { AUDIO_CODECS, createOpusDecoder, encodeOpusBlock, opusSampleRate } from './codec.js';
+import { VoiceActivityDetector } from './vad.js';
+import { ProviderChain, AllProvidersFailedError } from './resilience.js';
+import { MetricsRegistry } from './metrics.js';
+import { SessionRecorder } from './recorder.js';
+import { logger, configureLogger, LOG_LEVELS, LOG_CONSOLE_FORMATS } from './logger.js';
+import { SentenceSegmenter, Lexicon, normalizeForSpeech } from './text/index.js';
+import { createToolRegistry, TOOL_SETS } from './tools/index.js';
+import { LANGUAGES, AUTO_LANGUAGE, LISTEN_MODES, sessionSettingsSchema, parseSettingsUpdate, mergeSettings } from './settings.js';
 
 config();
 
 const PORT = process.env.PORT || 8765;
 
 // === Credentials ===
+// Provider lists are comma-separated and ordered: the first is used, the others take over when
+// it fails (see resilience.js), e.g. LLM_BACKEND=openclaw,openai
+const providerList = (value) => value.toLowerCase().split(',').map((s) => s.trim()).filter(Boolean);
+
+// STT provider — 'deepgram' (default), 'local' (whisper.cpp subprocess) or 'fake' (scripted, for tests)
+const STT_CHAIN = providerList(process.env.STT_PROVIDER || 'deepgram');
+const STT_PROVIDER = STT_CHAIN[0];
+
 // Deepgram STT
 const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
+const DEEPGRAM_URL = process.env.DEEPGRAM_URL; // e.g. ws://127.0.0.1:9101 for a stand-in (test/mocks)
+
+// Local STT (offline)
+const LOCAL_STT_COMMAND = process.env.LOCAL_STT_COMMAND || 'whisper-cli';
+const LOCAL_STT_ARGS = process.env.LOCAL_STT_ARGS; // default: "-m {model} -l {language} -nt -np -f {file}"
+const LOCAL_STT_MODEL = process.env.LOCAL_STT_MODEL || '';
+
+// Default conversation language (STT + reply language); sessions can pick another one.
+// 'auto' detects the language per utterance (Deepgram multilingual / whisper auto-detect).
+const DEFAULT_LANGUAGE = process.env.LANGUAGE || 'nl';
+
+// TTS provider — 'elevenlabs' (default), 'piper' (local subprocess) or 'fake' (tone, for tests)
+const TTS_CHAIN = providerList(process.env.TTS_PROVIDER || 'elevenlabs');
+const TTS_PROVIDER = TTS_CHAIN[0];
 
 // ElevenLabs TTS
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || 'yO6w2xlECAQRFP6pX7Hw';
 const ELEVENLABS_MODEL = process.env.ELEVENLABS_MODEL || 'eleven_multilingual_v2';
+const ELEVENLABS_URL = process.env.ELEVENLABS_URL || 'https://api.elevenlabs.io';
+const ELEVENLABS_VOICE_SETTINGS = process.env.ELEVENLABS_VOICE_SETTINGS
+  ? JSON.parse(process.env.ELEVENLABS_VOICE_SETTINGS)
+  : DEFAULT_VOICE_SETTINGS;
+
+// Per-language TTS voice, per provider, used when the conversation is in that language, e.g.
+// {"en": {"elevenlabs": {"voice": "<id>", "model": "eleven_turbo_v2_5"}, "piper": {"model": "/voices/en_US-amy.onnx"}}}
+const LANGUAGE_VOICES = process.env.LANGUAGE_VOICES
+  ? JSON.parse(process.env.LANGUAGE_VOICES)
+  : {};
+
+// Piper TTS (offline)
+const PIPER_COMMAND = process.env.PIPER_COMMAND || 'piper';
+const PIPER_MODEL = process.env.PIPER_MODEL; // path to .onnx voice, e.g. nl_NL-mls-medium.onnx
 
 // Azure Speaker Verification (optional)
 const AZURE_SPEAKER_KEY = process.env.AZURE_SPEAKER_KEY;
 const AZURE_SPEAKER_REGION = process.env.AZURE_SPEAKER_REGION || 'westeurope';
-const AZURE_SPEAKER_PROFILE_ID = process.env.AZURE_SPEAKER_PROFILE_ID; // Jac's voice profile
+const AZURE_SPEAKER_PROFILE_ID = process.env.AZURE_SPEAKER_PROFILE_ID; // Jac's voice profile (enrolled as user "default")
+
+// Speaker verification — 'off', 'local' (embedding-based) or 'azure'. Runs once per utterance.
+const SPEAKER_VERIFICATION = (process.env.SPEAKER_VERIFICATION || (AZURE_SPEAKER_KEY ? 'azure' : 'off')).toLowerCase();
+const SPEAKER_THRESHOLD = parseFloat(process.env.SPEAKER_THRESHOLD || (SPEAKER_VERIFICATION === 'azure' ? '0.5' : '0.85'));
+const SPEAKER_LOCALE = process.env.SPEAKER_LOCALE || 'nl-nl';
 
 // LLM Backend — switch between 'openai' (direct) and 'openclaw' (gateway)
-const LLM_BACKEND = (process.env.LLM_BACKEND || 'openai').toLowerCase();
+const LLM_BACKENDS = ['openai', 'openclaw'];
+const LLM_CHAIN = providerList(process.env.LLM_BACKEND || 'openai');
+const LLM_BACKEND = LLM_CHAIN[0];
 
 // OpenAI API (direct)
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o';
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
 
 // OpenClaw Gateway
 const OPENCLAW_URL = process.env.OPENCLAW_URL || 'http://127.0.0.1:18789';
 const OPENCLAW_TOKEN = process.env.OPENCLAW_TOKEN;
 const OPENCLAW_MODEL = process.env.OPENCLAW_MODEL || process.env.OPENAI_MODEL || 'gpt-4o';
 
+// LLM models a session may switch to (comma-separated); any model when unset
+const LLM_MODELS = (process.env.LLM_MODELS || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+// Conversation memory — older turns are summarized once either budget is exceeded
+const CONVERSATION_MAX_TURNS = parseInt(process.env.CONVERSATION_MAX_TURNS || '10', 10);
+const CONVERSATION_MAX_TOKENS = parseInt(process.env.CONVERSATION_MAX_TOKENS || '2000', 10);
+const CONVERSATION_KEEP_TURNS = parseInt(process.env.CONVERSATION_KEEP_TURNS || '4', 10);
+
+// Session store — 'file' (default), 'sqlite' (Node 22.5+) or 'memory'
+const SESSION_STORE = (process.env.SESSION_STORE || 'file').toLowerCase();
+const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+
+// Parallel TTS requests per provider (audio is still delivered in sentence order), and how
+// often a rate-limited (429) request is retried
+const TTS_CONCURRENCY = parseInt(process.env.TTS_CONCURRENCY || '3', 10);
+const TTS_MAX_RETRIES = parseInt(process.env.TTS_MAX_RETRIES || '3', 10);
+
+// TTS audio cache — repeated phrases are served from disk instead of being re-synthesized
+const TTS_CACHE = (process.env.TTS_CACHE || 'on').toLowerCase() !== 'off';
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(DATA_DIR, 'tts-cache');
+const TTS_CACHE_MAX_MB = parseInt(process.env.TTS_CACHE_MAX_MB || '200', 10);
+const TTS_CACHE_PREWARM = process.env.TTS_CACHE_PREWARM; // file with phrases to synthesize at startup
+
+// Resilience — retries per provider on transient errors (network, 5xx; a TTS 429 is retried
+// by the scheduler only, see TTS_MAX_RETRIES); after BREAKER_THRESHOLD failures in a row a
+// provider is skipped for BREAKER_COOLDOWN_MS
+const PROVIDER_RETRIES = parseInt(process.env.PROVIDER_RETRIES || '1', 10);
+const BREAKER_THRESHOLD = parseInt(process.env.BREAKER_THRESHOLD || '3', 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.BREAKER_COOLDOWN_MS || '30000', 10);
+
+// Authentication — 'tokens' (default) requires a device or signed token on every route;
+// 'off' disables it (trusted networks / development only).
+const AUTH_MODE = (process.env.AUTH_MODE || 'tokens').toLowerCase();
+const AUTH_SECRET = process.env.AUTH_SECRET; // enables short-lived signed tokens (POST /auth/token)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+// Server-side VAD — keeps listening during playback and interrupts on confirmed user speech.
+// 'on' (default) or 'off' (barge-in only via the client's `interrupt` message).
+const VAD_BARGE_IN = (process.env.VAD_BARGE_IN || 'on').toLowerCase() !== 'off';
+const VAD_OPTIONS = {
+  speechRms: parseInt(process.env.VAD_SPEECH_RMS || '500', 10),
+  bargeInRms: parseInt(process.env.VAD_BARGE_IN_RMS || '1500', 10), // higher: the mic also hears our TTS
+  bargeInMs: parseInt(process.env.VAD_BARGE_IN_MS || '300', 10)
+};
+
+// Default listen mode (see settings.js): 'continuous', 'push-to-talk' or 'hold-to-talk'
+const DEFAULT_LISTEN_MODE = (process.env.LISTEN_MODE || 'continuous').toLowerCase();
+
+// Resume listening if the client never confirms playback (playback_done) within this time
+const PLAYBACK_TIMEOUT_MS = parseInt(process.env.PLAYBACK_TIMEOUT_MS || '30000', 10);
+
+// Logging — JSON lines in LOG_FILE (rotated by size and per day), readable lines on the console
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const LOG_CONSOLE = (process.env.LOG_CONSOLE || 'pretty').toLowerCase();
+const LOG_FILE = process.env.LOG_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), 'logs', 'donna.jsonl');
+const LOG_MAX_MB = parseInt(process.env.LOG_MAX_MB || '20', 10);
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES || '14', 10);
+const LOG_ROTATE = (process.env.LOG_ROTATE || 'daily').toLowerCase();
+const LOG_REDACT = (process.env.LOG_REDACT || 'off').toLowerCase() === 'on'; // hide transcripts and replies
+
+// Session recording — 'on' saves every connection's audio, messages and TTS into a bundle
+// under RECORD_DIR, for replaying with `npm run replay` (see recorder.js). Off by default:
+// bundles hold raw audio and full transcripts, LOG_REDACT does not apply to them.
+const RECORD_SESSIONS = (process.env.RECORD_SESSIONS || 'off').toLowerCase() === 'on';
+const RECORD_DIR = process.env.RECORD_DIR || path.join(DATA_DIR, 'recordings');
+
 // === Validation ===
-if (!DEEPGRAM_API_KEY) {
-  console.error('❌ DEEPGRAM_API_KEY not set');
+if (!LOG_LEVELS.includes(LOG_LEVEL) || !LOG_CONSOLE_FORMATS.includes(LOG_CONSOLE) || !['daily', 'off'].includes(LOG_ROTATE)) {
+  console.error(`❌ Invalid logging config (LOG_LEVEL: ${LOG_LEVELS.join('|')}, LOG_CONSOLE: ${LOG_CONSOLE_FORMATS.join('|')}, LOG_ROTATE: daily|off)`);
   process.exit(1);
 }
 
-if (!ELEVENLABS_API_KEY) {
-  console.error('❌ ELEVENLABS_API_KEY not set');
-  process.exit(1);
-}
+configureLogger({
+  level: LOG_LEVEL,
+  console: LOG_CONSOLE,
+  redact: LOG_REDACT,
+  file: LOG_FILE === 'off' ? null : LOG_FILE,
+  maxBytes: LOG_MAX_MB * 1024 * 1024,
+  maxFiles: LOG_MAX_FILES,
+  rotate: LOG_ROTATE
+});
+
+for (const provider of STT_CHAIN) {
+  if (!STT_PROVIDERS.includes(provider)) {
+    logger.error(`❌ Unknown STT_PROVIDER "${provider}" (expected one of: ${STT_PROVIDERS.join(', ')})`);
+    process.exit(1);
+  }
 
-if (LLM_BACKEND === 'openai' && !OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY not set (required for LLM_BACKEND=openai)');
-  process.exit(1);
-}
+  if (provider === 'deepgram' && !DEEPGRAM_API_KEY) {
+    logger.error('❌ DEEPGRAM_API_KEY not set (required for STT_PROVIDER=deepgram)');
+    process.exit(1);
+  }
 
-if (LLM_BACKEND === 'openclaw' && !OPENCLAW_TOKEN) {
-  console.error('❌ OPENCLAW_TOKEN not set (required for LLM_BACKEND=openclaw)');
-  process.exit(1);
+  if (provider === 'local' && !LOCAL_STT_MODEL) {
+    logger.error('❌ LOCAL_STT_MODEL not set (required for STT_PROVIDER=local)');
+    process.exit(1);
+  }
 }
 
-// === Helper: Fetch with timeout ===
-function fetchWithTimeout(url, options, timeoutMs = 60000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-  return fetch(url, { ...options, signal: controller.signal })
-    .finally(() => clearTimeout(timeout));
-}
+for (const provider of TTS_CHAIN) {
+  if (!TTS_PROVIDERS.includes(provider)) {
+    logger.error(`❌ Unknown TTS_PROVIDER "${provider}" (expected one of: ${TTS_PROVIDERS.join(', ')})`);
+    process.exit(1);
+  }
 
-// === Speaker Verification ===
-/**
- * Verify speaker identity via Azure Speaker Recognition
- * Returns true if verified as Jac, false otherwise
- * If not configured, always returns true (skip verification)
- */
-async function verifySpeaker(audioBuffer) {
-  if (!AZURE_SPEAKER_KEY || !AZURE_SPEAKER_PROFILE_ID) {
-    return true;
+  if (provider === 'elevenlabs' && !ELEVENLABS_API_KEY) {
+    logger.error('❌ ELEVENLABS_API_KEY not set (required for TTS_PROVIDER=elevenlabs)');
+    process.exit(1);
   }
 
-  try {
-    // Azure Speaker Recognition API expects audio in specific format
-    // We'll need to implement this with the Azure SDK or REST API
-    // For now, document what's needed and skip verification
-    console.log('⚠️ Azure Speaker Verification implementation pending');
-    return true;
-  } catch (error) {
-    console.error('⚠️ Speaker verification failed:', error.message);
-    // On error, allow (don't block legitimate user)
-    return true;
+  if (provider === 'piper' && !PIPER_MODEL) {
+    logger.error('❌ PIPER_MODEL not set (required for TTS_PROVIDER=piper)');
+    process.exit(1);
   }
 }
 
-// === Deepgram STT Streaming ===
-/**
- * Real-time Speech-to-Text using Deepgram Nova-3
- */
-class DeepgramSTTSession {
-  constructor(connectionId, onUtteranceEnd, onError) {
-    this.connectionId = connectionId;
-    this.onUtteranceEnd = onUtteranceEnd; // Called when user stops speaking (after utterance_end_ms silence)
-    this.onError = onError;
-    this.deepgram = null;
-    this.connection = null;
-    this.isActive = false;
-    this.transcript = '';
-  }
-
-  async start() {
-    try {
-      this.deepgram = createClient(DEEPGRAM_API_KEY);
-
-      this.connection = this.deepgram.listen.live({
-        model: 'nova-3',
-        language: 'nl',
-        smart_format: true,
-        interim_results: true,
-        utterance_end_ms: 1000,
-        endpointing: 300,
-        vad_events: true,
-        encoding: 'linear16',
-        sample_rate: 16000,
-        channels: 1
-      });
-
-      // Handle transcript events — accumulate finals, don't process yet
-      this.connection.on(LiveTranscriptionEvents.Transcript, (data) => {
-        const transcript = data.channel?.alternatives?.[0]?.transcript;
-        if (transcript && transcript.trim()) {
-          const isFinal = data.is_final;
-          console.log(`🎙️ [${this.connectionId}] ${isFinal ? 'Final' : 'Interim'}: "${transcript}"`);
+if (!SPEAKER_BACKENDS.includes(SPEAKER_VERIFICATION)) {
+  logger.error(`❌ Unknown SPEAKER_VERIFICATION "${SPEAKER_VERIFICATION}" (expected one of: ${SPEAKER_BACKENDS.join(', ')})`);
+  process.exit(1);
+}
 
-          if (isFinal) {
-            this.transcript += (this.transcript ? ' ' : '') + transcript;
-          }
-        }
-      });
+if (SPEAKER_VERIFICATION === 'azure' && !AZURE_SPEAKER_KEY) {
+  logger.error('❌ AZURE_SPEAKER_KEY not set (required for SPEAKER_VERIFICATION=azure)');
+  process.exit(1);
+}
 
-      // UtteranceEnd fires after utterance_end_ms of silence — THIS is when the user is done
-      this.connection.on(LiveTranscriptionEvents.UtteranceEnd, () => {
-        if (this.transcript.trim()) {
-          console.log(`🎙️ [${this.connectionId}] UtteranceEnd → "${this.transcript}"`);
-          const fullTranscript = this.transcript;
-          this.transcript = '';
-          this.onUtteranceEnd(fullTranscript);
-        }
-      });
+if (!LISTEN_MODES.includes(DEFAULT_LISTEN_MODE)) {
+  logger.error(`❌ Unknown LISTEN_MODE "${DEFAULT_LISTEN_MODE}" (expected one of: ${LISTEN_MODES.join(', ')})`);
+  process.exit(1);
+}
 
-      // Handle errors
-      this.connection.on(LiveTranscriptionEvents.Error, (error) => {
-        console.error(`🎙️ [${this.connectionId}] Deepgram error:`, error);
-        this.onError(error.message || 'Deepgram error');
-      });
+if (!['tokens', 'off'].includes(AUTH_MODE)) {
+  logger.error(`❌ Unknown AUTH_MODE "${AUTH_MODE}" (expected tokens or off)`);
+  process.exit(1);
+}
 
-      // Handle connection close
-      this.connection.on(LiveTranscriptionEvents.Close, () => {
-        console.log(`🎙️ [${this.connectionId}] Deepgram connection closed`);
-        this.isActive = false;
-      });
+for (const backend of LLM_CHAIN) {
+  if (!LLM_BACKENDS.includes(backend)) {
+    logger.error(`❌ Unknown LLM_BACKEND "${backend}" (expected one of: ${LLM_BACKENDS.join(', ')})`);
+    process.exit(1);
+  }
 
-      // Wait for connection to open
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => reject(new Error('Connection timeout')), 10000);
+  if (backend === 'openai' && !OPENAI_API_KEY) {
+    logger.error('❌ OPENAI_API_KEY not set (required for LLM_BACKEND=openai)');
+    process.exit(1);
+  }
 
-        this.connection.on(LiveTranscriptionEvents.Open, () => {
-          clearTimeout(timeout);
-          console.log(`🎙️ [${this.connectionId}] Deepgram connection opened`);
-          this.isActive = true;
-          resolve();
-        });
+  if (backend === 'openclaw' && !OPENCLAW_TOKEN) {
+    logger.error('❌ OPENCLAW_TOKEN not set (required for LLM_BACKEND=openclaw)');
+    process.exit(1);
+  }
+}
 
-        this.connection.on(LiveTranscriptionEvents.Error, (error) => {
-          clearTimeout(timeout);
-          reject(error);
-        });
-      });
+// === Authentication ===
+const tokenStore = new TokenStore(path.join(DATA_DIR, 'tokens.json'));
+const authenticator = createAuthenticator({ enabled: AUTH_MODE !== 'off', store: tokenStore, secret: AUTH_SECRET });
 
-      return true;
-    } catch (error) {
-      console.error(`🎙️ [${this.connectionId}] Failed to start Deepgram:`, error);
-      this.onError(error.message);
-      return false;
-    }
-  }
+// === Session Store ===
+// Conversations survive WebSocket reconnects (e.g. iOS dropping Wi-Fi).
+const sessionStore = await createSessionStore(SESSION_STORE, { dir: DATA_DIR });
 
-  pushAudio(audioBuffer) {
-    if (this.connection && this.isActive) {
-      try {
-        // Deepgram Node SDK expects an ArrayBuffer (not a Node Buffer)
-        const ab = audioBuffer.buffer.slice(
-          audioBuffer.byteOffset,
-          audioBuffer.byteOffset + audioBuffer.byteLength
-        );
-        this.connection.send(ab);
-      } catch (error) {
-        console.error(`🎙️ [${this.connectionId}] Failed to send audio:`, error);
-      }
-    }
+// === Speaker Verification ===
+// Voiceprints are enrolled via POST /speakers/:userId/enroll (see speaker/index.js).
+const speakerVerifier = await createSpeakerVerifier(SPEAKER_VERIFICATION, {
+  file: path.join(DATA_DIR, 'voiceprints.json'),
+  threshold: SPEAKER_THRESHOLD,
+  azure: {
+    key: AZURE_SPEAKER_KEY,
+    region: AZURE_SPEAKER_REGION,
+    locale: SPEAKER_LOCALE,
+    profileId: AZURE_SPEAKER_PROFILE_ID
   }
+});
 
-  async stop() {
-    if (this.connection) {
-      try {
-        this.connection.finish();
-      } catch (error) {
-        console.error(`🎙️ [${this.connectionId}] Error finishing connection:`, error);
-      }
-    }
-
-    this.isActive = false;
-    const finalTranscript = this.transcript;
-    this.transcript = '';
+// Longest utterance kept for verification (30s of 16kHz S16LE)
+const MAX_UTTERANCE_AUDIO_BYTES = 30 * 16000 * 2;
 
-    console.log(`🎙️ [${this.connectionId}] STT stopped, final: "${finalTranscript}"`);
-    return finalTranscript;
+/**
+ * Verify the speaker of one complete utterance.
+ * Returns { verified, userId, score }, or null when verification is off, nothing is enrolled
+ * or the utterance holds too little speech to judge.
+ */
+async function verifySpeaker(audioBuffer, userId) {
+  if (!speakerVerifier || audioBuffer.length === 0) {
+    return null;
   }
 
-  cleanup() {
-    this.stop();
-    this.deepgram = null;
-    this.connection = null;
+  try {
+    return await speakerVerifier.verify(audioBuffer, { userId });
+  } catch (error) {
+    logger.error('⚠️ Speaker verification failed', { error });
+    // On error, allow (don't block legitimate user)
+    return null;
   }
 }
 
+// Tools the LLM may call — comma-separated sets (see tools/index.js), or 'off'
+const TOOLS = (process.env.TOOLS || TOOL_SETS.join(',')).toLowerCase();
+const TIME_ZONE = process.env.TIME_ZONE || 'Europe/Amsterdam';
+
+// === Tools ===
+const toolRegistry = createToolRegistry(
+  TOOLS === 'off' ? [] : TOOLS.split(',').map((s) => s.trim()).filter(Boolean),
+  { timeZone: TIME_ZONE, notesFile: path.join(DATA_DIR, 'notes.md') }
+);
+const MAX_TOOL_ROUNDS = 3; // model → tools → model cycles per turn
+const TOOL_ACK_DELAY_MS = 400; // tools slower than this get a spoken acknowledgement
+
+// === Metrics ===
+// Prometheus metrics, scraped from GET /metrics (see metrics.js)
+const metrics = new MetricsRegistry();
+
+// Turn phases, timed from the end of the user's utterance (or typed input), with their key
+// in the `timing` message
+const TURN_PHASES = {
+  first_token: 'firstTokenMs',
+  first_tts_byte: 'firstTtsByteMs',
+  first_audio: 'firstAudioMs',
+  audio_end: 'audioEndMs'
+};
+const turnLatency = metrics.histogram(
+  'donna_turn_latency_seconds',
+  'Time from the end of the user utterance to each phase of the reply',
+  ['phase'],
+  [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10, 30]
+);
+const turnsTotal = metrics.counter('donna_turns_total', 'Turns by outcome (completed, interrupted, error)', ['outcome']);
+const providerErrors = metrics.counter('donna_provider_errors_total', 'Failed provider requests, retries included', ['stage', 'provider']);
+const sttSessionsStarted = metrics.counter('donna_stt_sessions_started_total', 'STT sessions started', ['provider']);
+const activeConnections = metrics.gauge('donna_active_connections', 'Open WebSocket connections');
+
+const countProviderError = (stage) => (provider) => providerErrors.inc({ stage, provider });
+
+// === Speech-to-Text ===
+// Provider-specific options, merged into every STT session (see stt/index.js)
+const STT_OPTIONS = {
+  deepgram: { apiKey: DEEPGRAM_API_KEY, url: DEEPGRAM_URL, language: DEFAULT_LANGUAGE },
+  local: { command: LOCAL_STT_COMMAND, args: LOCAL_STT_ARGS, model: LOCAL_STT_MODEL, language: DEFAULT_LANGUAGE },
+  fake: { script: (process.env.STT_FAKE_SCRIPT || '').split('|').map((s) => s.trim()).filter(Boolean) }
+};
+
+// Providers in STT_PROVIDER order, each behind a circuit breaker (see resilience.js)
+const sttChain = new ProviderChain('stt', STT_CHAIN, {
+  retries: PROVIDER_RETRIES,
+  threshold: BREAKER_THRESHOLD,
+  cooldownMs: BREAKER_COOLDOWN_MS,
+  onError: countProviderError('stt')
+});
+
 // Active STT sessions per connection
 const sttSessions = new Map();
 
+metrics.gauge('donna_stt_sessions', 'Active STT sessions', [], () => [...sttSessions.values()].filter((e) => e.session?.isActive).length);
+
 // === OpenAI Integration ===
-const SYSTEM_PROMPT = `Je bent Donna, een behulpzame en vriendelijke AI-assistent. Je praat in het Nederlands.
-Dit is een voice gesprek. Antwoord KORT in 1-3 zinnen, geen markdown/bullets, praat natuurlijk en conversationeel.`;
+// System prompt = persona (per session, see `persona` setting) + voice rules in the session
+// language; the texts per language are in prompts.js
 
 /**
- * Send message to LLM backend (OpenAI direct or OpenClaw gateway) and get streaming response.
- * Configured via LLM_BACKEND env var: 'openai' (default) or 'openclaw'.
+ * Resolve endpoint, auth header and model for an LLM backend (default: the first configured one).
  */
-async function* callLLM(userMessage) {
-  // Determine endpoint, auth header and model based on backend
-  let url, authHeader, model;
-
-  if (LLM_BACKEND === 'openclaw') {
-    url = `${OPENCLAW_URL}/v1/chat/completions`;
-    authHeader = `Bearer ${OPENCLAW_TOKEN}`;
-    model = OPENCLAW_MODEL;
-  } else {
-    url = 'https://api.openai.com/v1/chat/completions';
-    authHeader = `Bearer ${OPENAI_API_KEY}`;
-    model = OPENAI_MODEL;
+function llmEndpoint(backend = LLM_BACKEND) {
+  if (backend === 'openclaw') {
+    return {
+      url: `${OPENCLAW_URL}/v1/chat/completions`,
+      authHeader: `Bearer ${OPENCLAW_TOKEN}`,
+      model: OPENCLAW_MODEL
+    };
   }
+  return {
+    url: `${OPENAI_BASE_URL}/chat/completions`,
+    authHeader: `Bearer ${OPENAI_API_KEY}`,
+    model: OPENAI_MODEL
+  };
+}
+
+// Backends in LLM_BACKEND order, each behind a circuit breaker (see resilience.js)
+const llmChain = new ProviderChain('llm', LLM_CHAIN, {
+  retries: PROVIDER_RETRIES,
+  threshold: BREAKER_THRESHOLD,
+  cooldownMs: BREAKER_COOLDOWN_MS,
+  onError: countProviderError('llm')
+});
+
+/**
+ * Send the conversation to the LLM backend (OpenAI direct or OpenClaw gateway) and get streaming response.
+ * `messages` is the full chat-completions array (system prompt + history + latest user turn).
+ * Aborting `signal` closes the stream mid-response.
+ * Configured via LLM_BACKEND env var: 'openai' (default) or 'openclaw', or an ordered list of
+ * both — a backend that fails before streaming anything is retried, then the next one takes over.
+ *
+ * Yields content deltas as strings. If the model calls `tools`, the assembled calls are
+ * yielded last as `{ toolCalls: [{ id, type, function: { name, arguments } }] }`.
+ * `model` overrides the backend's default model (per-session setting).
+ */
+function callLLM(messages, options = {}) {
+  return llmChain.stream((backend) => streamChat(backend, messages, options), { signal: options.signal });
+}
+
+async function* streamChat(backend, messages, { signal, tools = [], model: modelOverride } = {}) {
+  const { url, authHeader, model: defaultModel } = llmEndpoint(backend);
+  const model = modelOverride || defaultModel;
 
   const response = await fetchWithTimeout(url, {
     method: 'POST',
@@ -273,24 +450,24 @@ async function* callLLM(userMessage) {
     },
     body: JSON.stringify({
       model,
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        { role: 'user', content: userMessage }
-      ],
+      messages,
+      ...(tools.length > 0 && { tools }),
       stream: true
-    })
+    }),
+    signal
   }, 30000);
 
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(`LLM error (${LLM_BACKEND}): ${response.status} - ${error}`);
+    throw Object.assign(new Error(`LLM error (${backend}): ${response.status} - ${error}`), { statusCode: response.status });
   }
 
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let buffer = '';
+  const toolCalls = []; // tool call deltas, merged by index
 
-  while (true) {
+  stream: while (true) {
     const { done, value } = await reader.read();
     if (done) break;
 
@@ -302,180 +479,765 @@ async function* callLLM(userMessage) {
     for (const line of lines) {
       if (line.startsWith('data: ')) {
         const data = line.slice(6).trim();
-        if (data === '[DONE]') return;
+        if (data === '[DONE]') break stream;
 
+        let delta;
         try {
-          const json = JSON.parse(data);
-          const delta = json.choices?.[0]?.delta?.content;
-          if (delta) {
-            yield delta;
-          }
+          delta = JSON.parse(data).choices?.[0]?.delta;
         } catch (e) {
           // Skip malformed JSON
+          continue;
+        }
+        if (delta?.content) {
+          yield delta.content;
+        }
+        for (const call of delta?.tool_calls || []) {
+          const slot = toolCalls[call.index ?? 0] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+          if (call.id) slot.id = call.id;
+          if (call.function?.name) slot.function.name += call.function.name;
+          if (call.function?.arguments) slot.function.arguments += call.function.arguments;
         }
       }
     }
   }
+
+  if (toolCalls.length > 0) {
+    yield { toolCalls: toolCalls.filter(Boolean) };
+  }
 }
 
-// === ElevenLabs TTS ===
 /**
- * Generate speech with ElevenLabs — streaming version.
- * Yields PCM chunks as they arrive from ElevenLabs instead of buffering the entire response.
+ * Fold older conversation turns into a short running summary (non-streaming).
+ * Used by ConversationHistory when a session exceeds its turn/token budget.
  */
-async function* streamSpeech(text) {
-  if (!text || text.trim().length === 0) {
-    throw new Error('Empty text for TTS');
-  }
+function summarizeConversation(previousSummary, messages, language) {
+  return llmChain.run((backend) => summarizeWith(backend, previousSummary, messages, language));
+}
 
-  // Request stream endpoint but ask ElevenLabs to return raw PCM.
-  // Per ElevenLabs docs, `output_format=pcm_16000` => PCM (S16LE) 16kHz.
-  const response = await fetchWithTimeout(
-    `https://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}/stream?output_format=pcm_16000`,
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'audio/pcm',
-        'xi-api-key': ELEVENLABS_API_KEY
-      },
-      body: JSON.stringify({
-        text: text,
-        model_id: ELEVENLABS_MODEL,
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.8,
-          style: 0.4,
-          use_speaker_boost: true
-        }
-      })
+async function summarizeWith(backend, previousSummary, messages, language) {
+  const { url, authHeader, model } = llmEndpoint(backend);
+
+  const response = await fetchWithTimeout(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': authHeader
     },
-    30000
-  );
+    body: JSON.stringify({
+      model,
+      messages: buildSummaryRequest(previousSummary, messages, language),
+      stream: false
+    })
+  }, 30000);
 
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(`ElevenLabs error: ${response.status} - ${error}`);
+    throw Object.assign(new Error(`LLM summarize error (${backend}): ${response.status} - ${error}`), { statusCode: response.status });
   }
 
-  const reader = response.body.getReader();
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    yield Buffer.from(value);
+  const json = await response.json();
+  return json.choices?.[0]?.message?.content || previousSummary;
+}
+
+// === Text-to-Speech ===
+// Only providers with the configuration they need are available (see tts/index.js)
+const ttsProviders = createTTSProviders({
+  elevenlabs: ELEVENLABS_API_KEY ? {
+    apiKey: ELEVENLABS_API_KEY,
+    voiceId: ELEVENLABS_VOICE_ID,
+    model: ELEVENLABS_MODEL,
+    voiceSettings: ELEVENLABS_VOICE_SETTINGS,
+    baseUrl: ELEVENLABS_URL
+  } : null,
+  piper: PIPER_MODEL ? { command: PIPER_COMMAND, model: PIPER_MODEL } : null,
+  fake: {}
+});
+
+const ttsCache = TTS_CACHE ? new TTSCache({ dir: TTS_CACHE_DIR, maxBytes: TTS_CACHE_MAX_MB * 1024 * 1024 }) : null;
+
+/**
+ * TTS overrides for `language` (its LANGUAGE_VOICES profile for the provider), with the
+ * session's own voice settings on top.
+ */
+function languageVoice(language, providerName, { voice, voice_settings: voiceSettings } = {}) {
+  const profile = LANGUAGE_VOICES[language]?.[providerName] || {};
+  return {
+    voice: voice || profile.voice,
+    model: profile.model,
+    voiceSettings: { ...ELEVENLABS_VOICE_SETTINGS, ...profile.voice_settings, ...voiceSettings }
+  };
+}
+
+// One scheduler per provider, shared by all connections (rate limits are per account)
+const ttsSchedulers = new Map();
+
+function ttsScheduler(provider) {
+  if (!ttsSchedulers.has(provider)) ttsSchedulers.set(provider, new TTSScheduler({ concurrency: TTS_CONCURRENCY }));
+  return ttsSchedulers.get(provider);
+}
+
+/**
+ * Pick the TTS provider for a session: its `ttsProvider` setting if available, else TTS_PROVIDER.
+ */
+function resolveTTSProvider(name) {
+  if (name && ttsProviders.has(name)) return ttsProviders.get(name);
+  return ttsProviders.get(TTS_PROVIDER);
+}
+
+/**
+ * Generate speech — streaming version.
+ * Yields PCM S16LE mono chunks at `sampleRate` as they arrive from the provider. The provider
+ * synthesizes at its closest native rate; anything else is resampled here. Aborting `signal`
+ * cancels the provider request. `voice`/`model`/`voiceSettings` override the provider's defaults.
+ * With `cacheOnly` nothing is sent to the provider: a cache miss throws.
+ */
+async function* streamSpeech(text, providerName, { sampleRate = 16000, signal, voice, model, voiceSettings, cacheOnly = false } = {}) {
+  if (!text || text.trim().length === 0) {
+    throw new Error('Empty text for TTS');
+  }
+
+  const provider = resolveTTSProvider(providerName);
+  const nativeRate = pickSampleRate(provider, sampleRate);
+  const resample = createResampler(nativeRate, sampleRate);
+
+  // Cached at the provider's native rate, so clients with other output rates share entries
+  const cacheParams = {
+    provider: provider.info.provider,
+    text,
+    voice: voice || provider.info.voice,
+    model: model || provider.info.model,
+    voiceSettings: voiceSettings || null,
+    sampleRate: nativeRate
+  };
+  const cacheKey = ttsCache && TTSCache.key(cacheParams);
+  if (ttsCache) {
+    const cached = await ttsCache.get(cacheKey).catch((error) => {
+      logger.error('⚠️ TTS cache read failed', { error });
+      return null;
+    });
+    if (cached) {
+      signal?.throwIfAborted();
+      yield resample(cached);
+      return;
+    }
+  }
+  if (cacheOnly) throw new Error(`Not in the TTS cache: "${text}"`);
+
+  // Provider requests go through the provider's scheduler; a 429 before any audio arrived
+  // pauses the scheduler for Retry-After and tries again.
+  const scheduler = ttsScheduler(provider);
+  const chunks = [];
+  for (let attempt = 1; ; attempt++) {
+    const release = await scheduler.acquire(signal);
+    let received = false;
+    try {
+      for await (const chunk of provider.stream(text, { sampleRate: nativeRate, signal, voice, model, voiceSettings })) {
+        received = true;
+        if (ttsCache) chunks.push(chunk);
+        const pcm = resample(chunk);
+        if (pcm.length > 0) yield pcm;
+      }
+      scheduler.succeeded();
+      break;
+    } catch (error) {
+      if (error.statusCode !== 429 || received || attempt > TTS_MAX_RETRIES || signal?.aborted) throw error;
+      const delayMs = scheduler.rateLimited(error.retryAfterMs);
+      logger.warn('⏳ TTS rate limited', { provider: provider.info.provider, retry: attempt, retries: TTS_MAX_RETRIES, delayMs, concurrency: scheduler.limit });
+    } finally {
+      release();
+    }
+  }
+  if (ttsCache) {
+    ttsCache.set(cacheKey, cacheParams, Buffer.concat(chunks))
+      .catch((error) => logger.error('⚠️ TTS cache write failed', { error }));
+  }
+}
+
+/**
+ * Read the phrases in TTS_CACHE_PREWARM: one per line, optionally prefixed with a language
+ * like "en: Just a moment.".
+ */
+async function readPrewarmPhrases(file) {
+  let lines;
+  try {
+    lines = (await fs.readFile(file, 'utf8')).split('\n').map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+  } catch (error) {
+    logger.error('⚠️ TTS cache prewarm: cannot read phrases', { file, error });
+    return [];
   }
+  return lines.map((line) => {
+    const [, prefix, text] = /^(?:([a-z]{2}):\s*)?(.*)$/s.exec(line);
+    return { language: prefix || (DEFAULT_LANGUAGE === AUTO_LANGUAGE ? null : DEFAULT_LANGUAGE), text };
+  });
 }
 
 /**
- * Non-streaming fallback — returns full buffer (used nowhere currently, kept for reference).
+ * Synthesize `phrases` so they are cached before anyone asks for them (phrases already cached
+ * are just looked up). Runs in the background at startup, one phrase at a time.
  */
-async function generateSpeech(text) {
+async function prewarmTTSCache(phrases) {
+  let failed = 0;
+  for (const { language, text } of phrases) {
+    const speech = speechText(text, language);
+    if (!speech) continue;
+    try {
+      await generateSpeech(speech, TTS_PROVIDER, {
+        sampleRate: PIPELINE_FORMAT.sampleRate,
+        ...languageVoice(language, TTS_PROVIDER)
+      });
+    } catch (error) {
+      failed++;
+      logger.error('⚠️ TTS cache prewarm failed', { text, error });
+    }
+  }
+  logger.info('🔥 TTS cache prewarmed', { phrases: phrases.length - failed, failed });
+}
+
+/**
+ * Non-streaming variant — returns the full sentence buffer (used by dispatchTts).
+ * `onFirstByte` is called as soon as the first audio arrives (for latency metrics).
+ */
+async function generateSpeech(text, providerName, { onFirstByte, ...options } = {}) {
   const chunks = [];
-  for await (const chunk of streamSpeech(text)) {
+  for await (const chunk of streamSpeech(text, providerName, options)) {
+    if (chunks.length === 0) onFirstByte?.();
     chunks.push(chunk);
   }
   return Buffer.concat(chunks);
 }
 
-// === Helper: Sentence detection ===
-function extractCompleteSentences(text) {
-  const sentenceRegex = /[^.!?]*[.!?]+(?:\s|$)/g;
-  const sentences = [];
-  let match;
-  let lastIndex = 0;
+// Providers in TTS_PROVIDER order, each behind a circuit breaker (see resilience.js)
+const ttsChain = new ProviderChain('tts', TTS_CHAIN, {
+  retries: PROVIDER_RETRIES,
+  threshold: BREAKER_THRESHOLD,
+  cooldownMs: BREAKER_COOLDOWN_MS,
+  onError: countProviderError('tts')
+});
 
-  while ((match = sentenceRegex.exec(text)) !== null) {
-    sentences.push(match[0].trim());
-    lastIndex = match.index + match[0].length;
+/**
+ * Synthesize one sentence with `providerName` (the session's provider), falling back to the
+ * other TTS_PROVIDER entries when it fails. `overrides(name)` gives the voice/model/settings
+ * for each provider tried. When every provider is down, cached audio is still served.
+ */
+async function synthesizeSpeech(text, providerName, { sampleRate, signal, overrides, onFirstByte }) {
+  try {
+    return await ttsChain.run(
+      (name) => generateSpeech(text, name, { sampleRate, signal, onFirstByte, ...overrides(name) }),
+      { signal, preferred: providerName }
+    );
+  } catch (error) {
+    if (!(error instanceof AllProvidersFailedError)) throw error;
+    for (const name of [providerName, ...TTS_CHAIN]) {
+      const cached = await generateSpeech(text, name, { sampleRate, signal, cacheOnly: true, ...overrides(name) }).catch(() => null);
+      if (cached) return cached;
+    }
+    throw error;
   }
+}
+
+// === Resilience ===
+// Said when a stage has no working provider left. Cached at startup (see prewarmTTSCache), so
+// it can still be played while the TTS providers themselves are down.
+const APOLOGIES = {
+  nl: 'Sorry, er gaat even iets mis aan mijn kant. Probeer het zo nog eens.',
+  en: 'Sorry, something went wrong on my end. Please try again in a moment.',
+  de: 'Entschuldigung, bei mir ist gerade etwas schiefgelaufen. Versuch es gleich noch einmal.',
+  fr: 'Désolée, quelque chose ne va pas de mon côté. Réessaie dans un instant.',
+  es: 'Lo siento, algo ha fallado por mi parte. Inténtalo de nuevo en un momento.'
+};
 
-  const remaining = text.slice(lastIndex).trim();
-  return { sentences, remaining };
+const apologyFor = (language) => APOLOGIES[language] || APOLOGIES[DEFAULT_LANGUAGE] || APOLOGIES.nl;
+
+/**
+ * Circuit breaker state per stage and provider, for /health.
+ */
+function providerHealth() {
+  const stages = { stt: sttChain, llm: llmChain, tts: ttsChain };
+  const health = Object.values(stages).map((chain) => chain.health());
+  return {
+    status: health.includes('down') ? 'down' : health.includes('degraded') ? 'degraded' : 'ok',
+    providers: Object.fromEntries(Object.entries(stages).map(([stage, chain]) => [stage, chain.status()]))
+  };
 }
 
+metrics.gauge('donna_circuit_open', 'Whether a provider is skipped by its circuit breaker (1) or not (0)', ['stage', 'provider'], () =>
+  Object.entries(providerHealth().providers).flatMap(([stage, providers]) =>
+    Object.entries(providers).map(([provider, { state }]) => ({ labels: { stage, provider }, value: state === 'open' ? 1 : 0 }))
+  )
+);
+
+// === Text Normalization ===
+// LLM output is cut into sentences (text/segmenter.js) and each one is normalized before TTS:
+// markdown/emoji stripped, pronunciation lexicon applied, numbers/dates/amounts written out.
+const lexicon = new Lexicon(process.env.LEXICON_FILE || path.join(DATA_DIR, 'lexicon.json'));
+
+function speechText(text, language) {
+  return normalizeForSpeech(text, language, { lexicon });
+}
+
+// === Audio Formats ===
+// Everything between the client and the providers runs at 16kHz mono S16LE; client formats
+// are converted at the edges (see audio.js).
+const PIPELINE_FORMAT = { sampleRate: 16000, channels: 1 };
+
+function isValidAudioFormat(format) {
+  return !!format
+    && Number.isInteger(format.sampleRate) && format.sampleRate >= 8000 && format.sampleRate <= 48000
+    && (format.channels === 1 || format.channels === 2);
+}
+
+// === Output Modes ===
+// Per-session `outputMode` setting: 'text' skips TTS. Response text is always streamed, so 'both'
+// behaves like 'audio' (kept for clients that ask for it).
+const OUTPUT_MODES = ['audio', 'text', 'both'];
+const MAX_TEXT_INPUT_CHARS = 4000;
+
+// === Session Settings ===
+// Validated against this schema on `hello` and `session.update` (see settings.js)
+const SETTINGS_SCHEMA = sessionSettingsSchema({
+  ttsProviders: TTS_PROVIDERS,
+  outputModes: OUTPUT_MODES,
+  models: LLM_MODELS
+});
+
 // === WebSocket Message Helper ===
-function sendMessage(ws, message) {
+function sendRaw(ws, payload, options) {
   if (ws.readyState !== 1) return; // not OPEN
 
   // Basic backpressure protection: if the client isn't reading fast enough,
   // ws.bufferedAmount grows and the process can get OOM-killed (exit -9).
   const HIGH_WATERMARK = 8 * 1024 * 1024; // 8MB
   if (ws.bufferedAmount > HIGH_WATERMARK) {
-    console.warn(`⚠️ [${ws.connectionId}] Backpressure: bufferedAmount=${ws.bufferedAmount} > ${HIGH_WATERMARK}. Closing.`);
+    ws.log.warn('⚠️ Backpressure, closing', { bufferedAmount: ws.bufferedAmount, highWatermark: HIGH_WATERMARK });
     try { ws.close(1013, 'backpressure'); } catch (_) {}
     return;
   }
 
   try {
-    ws.send(JSON.stringify(message));
+    ws.send(payload, options);
   } catch (err) {
-    console.warn(`⚠️ [${ws.connectionId}] ws.send failed: ${err.message}`);
+    ws.log.warn('⚠️ ws.send failed', { error: err });
+  }
+}
+
+function sendMessage(ws, message) {
+  if (message.type !== 'audio') ws.recorder?.server(message);
+  sendRaw(ws, JSON.stringify(message));
+}
+
+/**
+ * Send one block of TTS audio (PCM S16LE mono at the output sample rate) in the connection's
+ * negotiated transport (binary frames, see framing.js, or the legacy base64 JSON `audio`
+ * message), codec and channel count. `text` is the sentence being spoken, for captions: it rides
+ * along in JSON audio messages, and precedes binary frames as an `audio_text` message.
+ */
+function sendAudio(ws, monoPcm, { index, text }) {
+  const { sampleRate, channels } = ws.outputFormat;
+  ws.recorder?.tts(monoPcm, { index, text, sampleRate });
+  const pcm = expandChannels(monoPcm, channels);
+
+  if (ws.transport === 'binary' && text) {
+    sendMessage(ws, { type: 'audio_text', index, text });
+  }
+
+  if (ws.downlinkCodec === 'opus') {
+    const packets = encodeOpusBlock(pcm, { sampleRate, channels });
+    if (ws.transport === 'binary') {
+      packets.forEach((packet, i) => {
+        const frame = encodeFrame({
+          codec: 'opus',
+          channels,
+          sampleRate,
+          streamId: index,
+          sequence: ws.downlinkSeq++,
+          end: i === packets.length - 1
+        }, packet);
+        sendRaw(ws, frame, { binary: true });
+      });
+      return;
+    }
+
+    sendMessage(ws, {
+      type: 'audio',
+      format: 'opus',
+      sampleRate,
+      channels,
+      frameMs: 20,
+      packets: packets.map((p) => p.toString('base64')),
+      index,
+      text
+    });
+    return;
+  }
+
+  if (ws.transport === 'binary') {
+    const frame = encodeFrame({
+      codec: 'pcm_s16le',
+      channels,
+      sampleRate,
+      streamId: index,
+      sequence: ws.downlinkSeq++,
+      end: true // one frame per sentence
+    }, pcm);
+    sendRaw(ws, frame, { binary: true });
+    return;
+  }
+
+  sendMessage(ws, {
+    type: 'audio',
+    format: 'pcm_s16le',
+    sampleRate,
+    channels,
+    data: pcm.toString('base64'),
+    index,
+    text
+  });
+}
+
+// === Session Recording ===
+// A recorder failing to start (full disk, permissions) must not cost the user the connection
+function startRecording(ws, connectionId, device) {
+  try {
+    const recorder = new SessionRecorder(RECORD_DIR, {
+      connectionId,
+      device,
+      server: {
+        stt: STT_CHAIN,
+        tts: TTS_CHAIN,
+        llm: LLM_CHAIN,
+        vad: VAD_BARGE_IN ? VAD_OPTIONS : false
+      },
+      uplinkFormat: PIPELINE_FORMAT,
+      log: ws.log
+    });
+    ws.log.info('⏺️ Recording session', { dir: recorder.dir });
+    return recorder;
+  } catch (error) {
+    ws.log.warn('⚠️ Recording not started', { error });
+    return null;
   }
 }
 
 // === Main Voice Pipeline ===
 function handleVoiceInteraction(ws, connectionId) {
+  const log = ws.log;
   let currentState = 'listening';
-  let ttsQueue = [];
-  let audioSent = false;
-  let pendingTts = 0;
-  let llmDone = false;
+  let currentTurn = null;
+  let turnCounter = 0;
+
+  // Per-connection conversation memory — gives the LLM context for follow-up questions.
+  const history = new ConversationHistory({
+    maxTurns: CONVERSATION_MAX_TURNS,
+    maxTokens: CONVERSATION_MAX_TOKENS,
+    keepTurns: CONVERSATION_KEEP_TURNS,
+    summarize: summarizeConversation
+  });
+
+  // Persistent session (see session-store.js). `settings` holds per-session pipeline settings.
+  let session = null;
+  let settings = {};
+  let sessionReady = Promise.resolve();
+  let saveChain = Promise.resolve();
+
+  const persistSession = () => {
+    if (!session) return;
+    session.history = history.toJSON();
+    session.settings = settings;
+    session.updatedAt = new Date().toISOString();
+    // Serialize writes so an older snapshot can never land after a newer one
+    saveChain = saveChain
+      .then(() => sessionStore.save(session))
+      .catch((error) => log.error('⚠️ Session save failed', { error }));
+    return saveChain;
+  };
+
+  const loadSession = async (requestedId, requestedSettings) => {
+    // Without a (valid) id, keep the current session or start a fresh one
+    const sessionId = isValidSessionId(requestedId) ? requestedId : (session?.id || randomUUID());
+    if (session?.id === sessionId) {
+      if (requestedSettings) {
+        settings = mergeSettings(settings, requestedSettings);
+        persistSession();
+      }
+      return;
+    }
+
+    const existing = await sessionStore.load(sessionId);
+    session = existing || newSessionRecord(sessionId);
+    history.restore(session.history);
+    settings = mergeSettings(session.settings, requestedSettings);
+    if (requestedSettings) persistSession();
+
+    sendMessage(ws, { type: 'session', sessionId, resumed: !!existing, turns: session.turns.length });
+    log.set({ sessionId });
+    log.info(`💾 Session ${existing ? 'resumed' : 'created'}`, { turns: session.turns.length });
+  };
 
   const setState = (newState) => {
     currentState = newState;
     sendMessage(ws, { type: 'state', state: newState });
-    console.log(`📡 [${connectionId}] State: ${newState}`);
+    log.debug('📡 State', { state: newState });
+    if (newState === 'listening') flushAnnouncements();
   };
 
-  // Serial TTS queue — process one at a time to avoid ElevenLabs 429 rate limits,
-  // but now STREAMS audio chunks to the client as they arrive from ElevenLabs.
-  let ttsChain = Promise.resolve();
+  const outputMode = () => (OUTPUT_MODES.includes(settings.outputMode) ? settings.outputMode : 'audio');
+
+  // Session settings with server defaults filled in — what the pipeline actually uses
+  const effectiveSettings = () => ({
+    language: [...LANGUAGES, AUTO_LANGUAGE].includes(settings.language) ? settings.language : DEFAULT_LANGUAGE,
+    voice: settings.voice || ELEVENLABS_VOICE_ID,
+    voice_settings: { ...ELEVENLABS_VOICE_SETTINGS, ...settings.voice_settings },
+    model: settings.model || llmEndpoint().model,
+    persona: settings.persona || DEFAULT_PERSONA,
+    ttsProvider: ttsProviders.has(settings.ttsProvider) ? settings.ttsProvider : TTS_PROVIDER,
+    outputMode: outputMode(),
+    listenMode: LISTEN_MODES.includes(settings.listenMode) ? settings.listenMode : DEFAULT_LISTEN_MODE,
+    speakerId: settings.speakerId || null
+  });
 
-  const dispatchTts = (ttsIndex, textToSpeak) => {
-    pendingTts++;
-    ttsChain = ttsChain.then(async () => {
-      if (ws.interrupted) return;
-      try {
-        // Buffer complete sentence audio, then send as one clean block.
-        // Streaming small chunks caused audio crackling at chunk boundaries.
-        // Latency win comes from overlapping LLM streaming with TTS generation.
-        const audioBuffer = await generateSpeech(textToSpeak);
-        if (!audioSent) {
-          audioSent = true;
-          setState('speaking');
-        }
-        if (audioBuffer.length > 0) {
-          sendMessage(ws, {
-            type: 'audio',
-            format: 'pcm_s16le',
-            sampleRate: 16000,
-            channels: 1,
-            data: audioBuffer.toString('base64'),
-            index: ttsIndex
-          });
-        }
-        console.log(`🔊 [${connectionId}] TTS ${ttsIndex} sent (${audioBuffer.length} bytes)`);
-        ttsQueue[ttsIndex] = Buffer.alloc(1); // Mark as done (non-null, non-empty sentinel)
-      } catch (error) {
-        console.error(`⚠️ [${connectionId}] TTS error:`, error.message);
-        ttsQueue[ttsIndex] = Buffer.alloc(0);
+  // With `language: 'auto'` the conversation follows the language of the last utterance
+  // the STT could identify (null until it has identified one).
+  let lastDetectedLanguage = null;
+
+  const conversationLanguage = (detected) => {
+    const { language } = effectiveSettings();
+    if (language !== AUTO_LANGUAGE) return language;
+    if (LANGUAGES.includes(detected)) {
+      lastDetectedLanguage = detected;
+      sendMessage(ws, { type: 'language', language: detected });
+    }
+    return lastDetectedLanguage;
+  };
+
+  // TTS overrides for a turn: the LANGUAGE_VOICES profile for its language, then session settings
+  const voiceFor = (language, providerName) => languageVoice(language, providerName, settings);
+
+  // Timers and reminders (tools/timers.js) speak up when they fire — right away if Donna is
+  // idle, otherwise as soon as the current turn is over.
+  const pendingAnnouncements = [];
+  const toolState = {};
+
+  const announce = (text, language = null) => {
+    pendingAnnouncements.push({ text, language });
+    flushAnnouncements();
+  };
+
+  const flushAnnouncements = () => {
+    if (currentState !== 'listening' || pendingAnnouncements.length === 0 || ws.readyState !== ws.OPEN) return;
+    const announcements = pendingAnnouncements.splice(0);
+    const text = announcements.map((announcement) => announcement.text).join(' ');
+    log.info('⏰ Announcing', { text });
+    sendMessage(ws, { type: 'announcement', text });
+    if (outputMode() === 'text') {
+      history.addAssistant(text);
+      persistSession();
+      return;
+    }
+
+    stopSTT();
+    setState('processing');
+    const turn = startTurn();
+    // Spoken in the language it was written in (that of the turn that set the timer)
+    turn.language = announcements[0].language || conversationLanguage();
+    history.addAssistant(text);
+    persistSession();
+    turn.ttsQueue.push(null);
+    turn.llmDone = true;
+    dispatchTts(turn, 0, text, speechText(text, turn.language) || text);
+  };
+
+  /**
+   * Tell the user that a stage has no working provider left: the localized apology is sent as
+   * an `apology` message and, unless the turn is text-only, spoken after whatever the turn
+   * already queued. Without a turn (STT down while listening) it gets a turn of its own.
+   */
+  const apologize = (turn, stage) => {
+    if (!turn) {
+      if (currentState !== 'listening' || ws.readyState !== ws.OPEN) return;
+      setState('processing');
+      turn = startTurn();
+      turn.language = conversationLanguage();
+      turn.mode = outputMode();
+    }
+    if (turn.apologized) return;
+    turn.apologized = true;
+
+    const text = apologyFor(turn.language);
+    turn.log.warn('🙊 Stage unavailable, apologizing', { stage });
+    sendMessage(ws, { type: 'apology', stage, text });
+    if (turn.mode === 'text') {
+      setState('listening');
+      return;
+    }
+    turn.ttsQueue.push(null);
+    turn.llmDone = true;
+    dispatchTts(turn, turn.ttsQueue.length - 1, text, speechText(text, turn.language) || text);
+  };
+
+  /**
+   * Run the model's tool calls. Slow tools get a short spoken acknowledgement first so the
+   * user isn't left in silence.
+   *
+   * @returns {Promise<object[]>} `tool` messages for the next LLM request
+   */
+  const runTools = async (turn, toolCalls, { acknowledge, speak }) => {
+    const names = toolCalls.map((call) => call.function.name);
+    turn.log.info('🛠️ Tool calls', { tools: names });
+
+    const language = turn.language || DEFAULT_LANGUAGE;
+    const ackTimer = acknowledge
+      ? setTimeout(() => speak(toolRegistry.acknowledgement(names, language)), TOOL_ACK_DELAY_MS)
+      : null;
+    const context = { connectionId, signal: turn.signal, language, announce, state: toolState };
+    try {
+      const results = await Promise.all(toolCalls.map((call) => toolRegistry.execute(call, context)));
+      results.forEach((result, i) => turn.log.info('🛠️ Tool result', { tool: names[i], result: result.substring(0, 200) }));
+      return toolCalls.map((call, i) => ({ role: 'tool', tool_call_id: call.id, content: results[i] }));
+    } finally {
+      clearTimeout(ackTimer);
+    }
+  };
+
+  /**
+   * Per-turn context: one AbortController cancels the LLM stream, the queued TTS jobs and
+   * any provider request in flight. `spoken` tracks what the client has been sent, with an
+   * estimated playback window per sentence, so an interrupt can tell what was actually heard.
+   */
+  const startTurn = () => {
+    if (currentTurn && !currentTurn.signal.aborted) {
+      currentTurn.interruptedAt = Date.now();
+      currentTurn.controller.abort();
+      finishTiming(currentTurn, 'interrupted');
+    }
+    const controller = new AbortController();
+    const id = ++turnCounter;
+    currentTurn = {
+      id,
+      log: log.child({ turnId: id }),
+      controller,
+      signal: controller.signal,
+      ttsQueue: [],
+      pendingTts: 0,
+      ttsSent: 0, // ttsQueue entries delivered so far
+      llmDone: false,
+      audioSent: false,
+      spoken: [],
+      playbackEndsAt: 0,
+      interruptedAt: null,
+      mode: 'audio',
+      record: null,
+      ttsDown: false, // a sentence failed on every TTS provider
+      apologized: false,
+      timing: null // { startedAt, marks, done } for turns that answer the user
+    };
+    return currentTurn;
+  };
+
+  // Milliseconds from the start of the turn to `phase` (see TURN_PHASES); the first time counts
+  const markTiming = (turn, phase) => {
+    if (turn.timing && !(phase in turn.timing.marks)) turn.timing.marks[phase] = Date.now() - turn.timing.startedAt;
+  };
+
+  // Once per turn: record its latencies and send the client a `timing` summary
+  const finishTiming = (turn, outcome) => {
+    if (!turn.timing || turn.timing.done) return;
+    turn.timing.done = true;
+    const { marks } = turn.timing;
+    const summary = {};
+    for (const [phase, key] of Object.entries(TURN_PHASES)) {
+      if (!(phase in marks)) continue;
+      turnLatency.observe({ phase }, marks[phase] / 1000);
+      summary[key] = marks[phase];
+    }
+    turnsTotal.inc({ outcome });
+    sendMessage(ws, { type: 'timing', turnId: turn.id, outcome, ...summary });
+    turn.log.info('⏱️ Turn finished', { outcome, ...summary });
+  };
+
+  // Text of the turn the user heard before `at`; a sentence cut off halfway keeps its
+  // first words (proportional to the playback time) and ends in an ellipsis.
+  const spokenText = (turn, at) => turn.spoken
+    .filter((s) => s.startsAt < at)
+    .map((s) => {
+      if (s.endsAt <= at) return s.text;
+      const words = s.text.split(/\s+/);
+      const heard = Math.max(1, Math.floor(words.length * (at - s.startsAt) / (s.endsAt - s.startsAt)));
+      return `${words.slice(0, heard).join(' ')}…`;
+    })
+    .join(' ');
+
+  /**
+   * Queue TTS for one sentence. `text` is what the client shows (captions, history), `speech`
+   * its normalized form that is actually synthesized.
+   *
+   * Sentences are synthesized in parallel (up to TTS_CONCURRENCY, see tts/scheduler.js) but
+   * delivered strictly in index order: a finished sentence waits in `turn.ttsQueue` until
+   * every sentence before it has been sent.
+   */
+  const dispatchTts = (turn, ttsIndex, text, speech) => {
+    turn.pendingTts++;
+    // Buffer complete sentence audio, then send as one clean block.
+    // Streaming small chunks caused audio crackling at chunk boundaries.
+    // Latency win comes from overlapping LLM streaming with TTS generation.
+    const providerName = effectiveSettings().ttsProvider;
+    synthesizeSpeech(speech, providerName, {
+      sampleRate: ws.outputFormat.sampleRate,
+      signal: turn.signal,
+      overrides: (name) => voiceFor(turn.language, name),
+      onFirstByte: () => markTiming(turn, 'first_tts_byte')
+    })
+      .then((audio) => {
+        turn.ttsQueue[ttsIndex] = { text, audio };
+      })
+      .catch((error) => {
+        if (turn.signal.aborted) return;
+        turn.log.error('⚠️ TTS error', { error });
+        if (error instanceof AllProvidersFailedError) turn.ttsDown = true;
+        turn.ttsQueue[ttsIndex] = { text, audio: null };
+      })
+      .finally(() => {
+        turn.pendingTts--;
+        if (turn.signal.aborted) return;
+        deliverTts(turn);
+        checkAllDone(turn);
+      });
+  };
+
+  // Send every finished sentence whose predecessors have all been sent
+  const deliverTts = (turn) => {
+    while (turn.ttsSent < turn.ttsQueue.length && turn.ttsQueue[turn.ttsSent]) {
+      const index = turn.ttsSent++;
+      const { text, audio } = turn.ttsQueue[index];
+      turn.ttsQueue[index] = true; // sent — drop the audio
+      if (!audio) continue; // synthesis failed
+
+      if (!turn.audioSent) {
+        turn.audioSent = true;
+        setState('speaking');
       }
-      pendingTts--;
-      // Check if all done
-      checkAllDone();
-    });
+      if (audio.length > 0) {
+        sendAudio(ws, audio, { index, text });
+        markTiming(turn, 'first_audio');
+        const startsAt = Math.max(Date.now(), turn.playbackEndsAt);
+        turn.playbackEndsAt = startsAt + audio.length / 2 / ws.outputFormat.sampleRate * 1000;
+        turn.spoken.push({ text, startsAt, endsAt: turn.playbackEndsAt });
+      }
+      turn.log.debug('🔊 TTS sent', { index, bytes: audio.length });
+    }
   };
 
-  const endAudio = () => {
-    if (audioSent) {
+  const endAudio = (turn) => {
+    if (turn.audioSent) {
       sendMessage(ws, { type: 'audio_end' });
-      audioSent = false;
+      turn.audioSent = false;
+      markTiming(turn, 'audio_end');
+      finishTiming(turn, 'completed');
 
       // IMPORTANT: don't immediately resume listening/recording.
       // The client's speaker is still playing; if we resume STT too fast we'll transcribe our own TTS.
       ws.muteUntilMs = Date.now() + 500; // short safety — playback_done now waits for real audio end
 
-      console.log(`🔊 [${connectionId}] Audio streaming complete (waiting for playback_done)`);
+      turn.log.info('🔊 Audio streaming complete (waiting for playback_done)');
 
       // Fallback: if the client never sends playback_done, resume listening after a generous timeout.
       // Long TTS responses can take 15+ seconds to play back on device.
@@ -484,129 +1246,322 @@ function handleVoiceInteraction(ws, connectionId) {
           if (currentState !== 'listening') {
             ws.muteUntilMs = Date.now() + 500;
             setState('listening');
-            console.log(`🔊 [${connectionId}] playback_done timeout → resume listening`);
+            log.info('🔊 playback_done timeout → resume listening');
           }
         } catch {}
-      }, 30000).unref();
+      }, PLAYBACK_TIMEOUT_MS).unref();
     }
   };
 
-  const checkAllDone = () => {
-    if (ws.interrupted) {
-      console.log(`⏸️ [${connectionId}] Interrupted, clearing audio queue`);
-      ttsQueue = [];
-      pendingTts = 0;
-      llmDone = false;
-      endAudio();
-      return;
-    }
-
+  const checkAllDone = (turn) => {
     // End audio only when LLM is done AND all TTS jobs have streamed
-    if (llmDone && pendingTts === 0 && ttsQueue.length > 0) {
-      llmDone = false;
-      endAudio();
-      ttsQueue = [];
+    if (turn.llmDone && turn.pendingTts === 0 && turn.ttsQueue.length > 0) {
+      if (!turn.audioSent && turn.ttsDown && !turn.apologized) {
+        // Nothing could be synthesized: try the (cached) apology instead of staying silent
+        turn.ttsQueue = [];
+        turn.ttsSent = 0;
+        apologize(turn, 'tts');
+        return;
+      }
+      turn.llmDone = false;
+      if (turn.audioSent) endAudio(turn);
+      else {
+        finishTiming(turn, turn.ttsDown ? 'error' : 'completed');
+        setState('listening'); // every TTS job failed — nothing to wait for
+      }
+      turn.ttsQueue = [];
+      turn.ttsSent = 0;
     }
   };
 
-  // Stop the active Deepgram session so it can't transcribe echo audio.
+  // Add the finished (or interrupted) turn to the conversation and the session record.
+  // With text output the user has read everything streamed so far, so nothing is trimmed.
+  const recordTurn = (turn, transcript, fullResponse) => {
+    const interrupted = turn.signal.aborted;
+    const response = interrupted && turn.mode === 'audio' ? spokenText(turn, turn.interruptedAt) : fullResponse;
+    history.addAssistant(response);
+    turn.record = { at: new Date().toISOString(), transcript, response, ...(interrupted && { interrupted }) };
+    session?.turns.push(turn.record);
+    // Save once any pending summarization has settled
+    history.compact(turn.language).then(persistSession);
+  };
+
+  // Stop the active STT session so it can't transcribe echo audio.
   const stopSTT = () => {
     const entry = sttSessions.get(connectionId);
     if (entry?.session) {
       entry.session.cleanup();
       entry.session = null;
     }
+    utteranceAudio = [];
+    utteranceBytes = 0;
   };
 
+  // Uplink audio of the current utterance, verified as a whole once the user stops speaking
+  let utteranceAudio = [];
+  let utteranceBytes = 0;
+
+  // Push-to-talk / hold-to-talk: open between the client's listen_start and listen_stop
+  let listenWindowOpen = false;
+
   return {
     setState,
     getState() { return currentState; },
     stopSTT,
-    async processTranscript(transcript) {
+    effectiveSettings,
+
+    // A stage went down while no turn was running (STT failed to start)
+    apologize(stage) {
+      apologize(null, stage);
+    },
+
+    /**
+     * Validate and apply a `session.update` (mid-session changes take effect on the next
+     * utterance; a new language or listen mode restarts STT).
+     *
+     * @returns {string[]} validation errors — nothing is applied when there are any
+     */
+    async updateSettings(update) {
+      const { errors } = parseSettingsUpdate(SETTINGS_SCHEMA, update);
+      if (errors.length > 0) return errors;
+
+      await sessionReady;
+      const previous = effectiveSettings();
+      settings = mergeSettings(settings, update);
+      persistSession();
+      const { language, listenMode } = effectiveSettings();
+      if (listenMode !== previous.listenMode) listenWindowOpen = false;
+      if (language !== previous.language || listenMode !== previous.listenMode) stopSTT();
+      log.info('⚙️ Settings updated', { keys: Object.keys(update) });
+      return [];
+    },
+
+    // Outside continuous mode only audio inside a listen window counts
+    acceptsAudio() {
+      return listenWindowOpen || effectiveSettings().listenMode === 'continuous';
+    },
+
+    /**
+     * `listen_start`: open the listen window. Pressing the button while Donna talks or thinks
+     * takes the floor, like a barge-in.
+     */
+    listenStart() {
+      if (listenWindowOpen) return;
+      listenWindowOpen = true;
+      ws.muteUntilMs = 0;
+      if (currentState !== 'listening') {
+        this.handleInterrupt();
+        if (currentState !== 'listening') setState('listening');
+      }
+      log.info('🎙️ Listen window opened');
+    },
+
+    /**
+     * `listen_stop`: close the listen window and end the utterance right away with everything
+     * said in it, instead of waiting for the STT to hear silence.
+     */
+    async listenStop() {
+      if (!listenWindowOpen) return;
+      listenWindowOpen = false;
+      log.info('🎙️ Listen window closed');
+      const entry = sttSessions.get(connectionId);
+      // Audio sent just before listen_stop may still be waiting for the STT session to start
+      await entry?.starting?.catch(() => {});
+      await entry?.session?.finalize();
+      stopSTT(); // nothing to hear until the next window
+    },
+
+    appendUtteranceAudio(audioBuffer) {
+      utteranceAudio.push(audioBuffer);
+      utteranceBytes += audioBuffer.length;
+      while (utteranceBytes > MAX_UTTERANCE_AUDIO_BYTES && utteranceAudio.length > 1) {
+        utteranceBytes -= utteranceAudio.shift().length;
+      }
+    },
+
+    /**
+     * Called on UtteranceEnd: verify who spoke (if enabled), then run the turn.
+     * `meta.language` is the language the STT detected (multilingual mode).
+     */
+    async handleUtterance(transcript, meta = {}) {
+      const startedAt = Date.now();
+      const audio = Buffer.concat(utteranceAudio);
+      utteranceAudio = [];
+      utteranceBytes = 0;
+
+      await sessionReady;
+      const result = await verifySpeaker(audio, settings.speakerId);
+      if (result) {
+        sendMessage(ws, { type: 'speaker', ...result });
+        if (!result.verified) {
+          log.info('🚫 Speaker not verified, ignoring utterance', { userId: result.userId, score: result.score, transcript });
+          return;
+        }
+        log.info('🔐 Speaker verified', { userId: result.userId, score: result.score });
+      }
+
+      return this.processTranscript(transcript, { language: meta.language, startedAt });
+    },
+
+    /**
+     * Attach this connection to a (possibly existing) session. Called on connect with the
+     * `?session=` query param and again when the client sends `hello`.
+     */
+    attachSession(sessionId, requestedSettings) {
+      sessionReady = sessionReady
+        .then(() => loadSession(sessionId, requestedSettings))
+        .catch((error) => {
+          log.error('⚠️ Session load failed', { error });
+          sendMessage(ws, { type: 'error', error: 'Failed to load session' });
+        });
+      return sessionReady;
+    },
+
+    /**
+     * Run one turn for `transcript`. `startedAt` is when the user stopped speaking (the turn's
+     * latencies are measured from there); typed input starts the clock on arrival.
+     */
+    async processTranscript(transcript, { language: detectedLanguage, startedAt = Date.now() } = {}) {
       if (!transcript || transcript.trim().length === 0) {
-        console.log(`⚠️ [${connectionId}] Empty transcript, ignoring`);
+        log.info('⚠️ Empty transcript, ignoring');
         return;
       }
 
       // Send transcript back to client for logging
       sendMessage(ws, { type: 'transcript', text: transcript });
 
+      await sessionReady;
+
+      const turn = startTurn();
+      turn.language = conversationLanguage(detectedLanguage);
+      turn.timing = { startedAt, marks: {}, done: false };
+      let fullResponse = '';
+
       try {
-        stopSTT(); // Kill Deepgram session immediately — prevents echo transcription
+        stopSTT(); // Kill STT session immediately — prevents echo transcription
         setState('processing');
-        console.log(`🦋 [${connectionId}] Processing: "${transcript}"`);
-
-        let fullResponse = '';
-        let sentenceBuffer = '';
-        ttsQueue = [];
+        turn.log.info('🦋 Processing', { transcript });
+
+        const segmenter = new SentenceSegmenter({ language: turn.language });
+        const mode = turn.mode = outputMode();
+
+        const speak = (sentence) => {
+          if (mode === 'text') return; // no TTS at all
+          const speech = speechText(sentence, turn.language);
+          if (!speech) return; // nothing to say (a code block, only emoji, ...)
+          const ttsIndex = turn.ttsQueue.length;
+          turn.ttsQueue.push(null); // Reserve slot
+
+          turn.log.debug('🔊 TTS starting', { index: ttsIndex, speech });
+
+          // Generate speech async
+          dispatchTts(turn, ttsIndex, sentence, speech);
+        };
+
+        history.addUser(transcript);
+        // Only a session's own model is passed on; each backend otherwise uses its default
+        const model = settings.model;
+        const messages = history.buildMessages(buildSystemPrompt({ persona: settings.persona, language: turn.language }), turn.language);
+
+        // Stream response from the LLM, with the conversation so far as context.
+        // When it calls tools, run them and stream its follow-up (up to MAX_TOOL_ROUNDS).
+        for (let round = 0; ; round++) {
+          const tools = round < MAX_TOOL_ROUNDS ? toolRegistry.definitions() : [];
+          let roundText = '';
+          let toolCalls = null;
+
+          for await (const chunk of callLLM(messages, { signal: turn.signal, tools, model })) {
+            if (chunk.toolCalls) {
+              toolCalls = chunk.toolCalls;
+              continue;
+            }
 
-        audioSent = false;
+            markTiming(turn, 'first_token');
+            fullResponse += chunk;
+            roundText += chunk;
+            sendMessage(ws, { type: 'response_delta', text: chunk });
 
-        // Stream response from OpenAI
-        for await (const chunk of callLLM(transcript)) {
-          if (ws.interrupted) {
-            console.log(`⏸️ [${connectionId}] Interrupted during LLM streaming`);
-            break;
+            // Generate TTS for each complete sentence
+            for (const sentence of segmenter.push(chunk)) speak(sentence);
           }
 
-          fullResponse += chunk;
-          sentenceBuffer += chunk;
-
-          // Check for complete sentences
-          const { sentences, remaining } = extractCompleteSentences(sentenceBuffer);
-
-          if (sentences.length > 0) {
-            // Generate TTS for each sentence
-            for (const sentence of sentences) {
-              if (sentence.length > 2) {
-                const ttsIndex = ttsQueue.length;
-                ttsQueue.push(null); // Reserve slot
+          if (!toolCalls) break;
 
-                console.log(`🔊 [${connectionId}] TTS starting for sentence ${ttsIndex + 1}: "${sentence.substring(0, 50)}..."`);
-
-                // Generate speech async
-                dispatchTts(ttsIndex, sentence);
-              }
-            }
-          }
+          // Say whatever the model said before calling the tools, then wait for their results
+          for (const sentence of segmenter.flush()) speak(sentence);
+          if (roundText && !/\s$/.test(roundText)) fullResponse += ' ';
 
-          sentenceBuffer = remaining;
+          messages.push({ role: 'assistant', content: roundText || null, tool_calls: toolCalls });
+          messages.push(...await runTools(turn, toolCalls, { acknowledge: !roundText.trim(), speak }));
+          turn.signal.throwIfAborted();
         }
 
         // LLM stream finished; end audio once all TTS has resolved and been sent.
-        llmDone = true;
+        turn.llmDone = true;
+        sendMessage(ws, { type: 'response_done', text: fullResponse });
 
         // Handle remaining text
-        if (!ws.interrupted && sentenceBuffer.trim().length > 2) {
-          const ttsIndex = ttsQueue.length;
-          ttsQueue.push(null);
-
-          console.log(`🔊 [${connectionId}] TTS starting for final: "${sentenceBuffer.substring(0, 50)}..."`);
-
-          dispatchTts(ttsIndex, sentenceBuffer.trim());
-        } else if (!ws.interrupted && ttsQueue.length > 0) {
-          checkAllDone();
-        } else if (!ws.interrupted) {
+        for (const sentence of segmenter.flush()) speak(sentence);
+        if (turn.ttsQueue.length > 0) {
+          checkAllDone(turn);
+        } else {
           // No audio generated
+          finishTiming(turn, 'completed');
           setState('listening');
         }
 
-        console.log(`🦋 [${connectionId}] Response: "${fullResponse}"`);
+        turn.log.info('🦋 Response', { response: fullResponse });
+        recordTurn(turn, transcript, fullResponse);
 
       } catch (error) {
-        console.error(`❌ [${connectionId}] Error processing transcript:`, error.message);
+        if (turn.signal.aborted) {
+          turn.log.info('⏸️ Interrupted during LLM streaming');
+          finishTiming(turn, 'interrupted');
+          recordTurn(turn, transcript, fullResponse);
+          return;
+        }
+        turn.log.error('❌ Error processing transcript', { error });
         sendMessage(ws, { type: 'error', error: error.message });
-        setState('listening');
+        finishTiming(turn, 'error');
+        apologize(turn, error instanceof AllProvidersFailedError ? error.stage : 'llm');
       }
     },
 
+    // Connection closed: cancel the turn and any pending timers/reminders
+    dispose() {
+      currentTurn?.controller.abort();
+      toolRegistry.dispose(toolState);
+      pendingAnnouncements.length = 0;
+    },
+
+    /**
+     * Cancel the current turn: stop the LLM stream and all TTS work, and keep only what the
+     * user heard in the conversation history.
+     */
     handleInterrupt() {
-      console.log(`⏸️ [${connectionId}] User interrupted`);
-      ws.interrupted = true;
-      ttsQueue = [];
-      endAudio();
-      ws.interrupted = false;
+      log.info('⏸️ User interrupted');
       ws.muteUntilMs = 0;
+      const turn = currentTurn;
+      if (!turn || turn.signal.aborted) return;
+
+      turn.interruptedAt = Date.now();
+      turn.controller.abort();
+      finishTiming(turn, 'interrupted');
+      turn.log.info('⏸️ Cancelled turn (LLM/TTS requests aborted)');
+      endAudio(turn);
+      ws.muteUntilMs = 0; // endAudio's echo mute would drop what the user is saying right now
+      if (currentState === 'processing') setState('listening');
+
+      // Already recorded in full (LLM finished before the interrupt) — trim to what was heard
+      if (turn.record && turn.mode === 'audio') {
+        const spoken = spokenText(turn, turn.interruptedAt);
+        if (spoken !== turn.record.response) {
+          history.replaceLastAssistant(spoken);
+          turn.record.response = spoken;
+          turn.record.interrupted = true;
+          persistSession();
+        }
+      }
     }
   };
 }
@@ -615,10 +1570,14 @@ function handleVoiceInteraction(ws, connectionId) {
 function startServer() {
   // Create HTTP server for both REST endpoints and WebSocket upgrade
   const httpServer = http.createServer(async (req, res) => {
-    // CORS headers for iOS app
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS only for explicitly allowed browser origins — the iOS app doesn't need it
+    const origin = req.headers.origin;
+    if (origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin))) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
 
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
@@ -626,7 +1585,47 @@ function startServer() {
       return;
     }
 
-    if (req.method === 'POST' && req.url === '/realtime-session') {
+    const principal = authenticator.authenticate(req);
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    // Health check, with the circuit breaker state of every provider ('degraded' while one is
+    // skipped, 'down' while a whole stage is). Public, so a load balancer or monitor can act
+    // on the 503 once a whole stage is down; the provider detail needs a token.
+    if (req.method === 'GET' && (pathname === '/' || pathname === '/health')) {
+      const { status, providers } = providerHealth();
+      res.writeHead(status === 'down' ? 503 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(principal ? { status, version: '2.1.0', modes: ['classic', 'realtime'], providers } : { status }));
+      return;
+    }
+
+    // Every other route requires a valid token
+    if (!principal) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: 'Unauthorized' }));
+      return;
+    }
+
+    // Exchange a device token for a short-lived signed token (e.g. for ?token= on the WebSocket URL)
+    if (req.method === 'POST' && pathname === '/auth/token') {
+      if (!AUTH_SECRET || !principal.tokenId) {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Signed tokens need AUTH_MODE=tokens and AUTH_SECRET' }));
+        return;
+      }
+      try {
+        const body = JSON.parse((await readBody(req, 4096)).toString() || '{}');
+        const ttl = Math.min(Math.max(parseInt(body.ttl || '300', 10) || 300, 30), 24 * 3600);
+        const token = signToken(AUTH_SECRET, principal, ttl);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ token, expiresIn: ttl }));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/realtime-session') {
       try {
         // Read request body
         const chunks = [];
@@ -638,10 +1637,10 @@ function startServer() {
           instructions = 'Spreek natuurlijk Nederlands met een neutraal accent. Praat helder, vriendelijk en beknopt. Gebruik alleen Nederlands tenzij de gebruiker expliciet om Engels vraagt.'
         } = body;
 
-        console.log(`🌐 /realtime-session requested (voice: ${voice})`);
+        logger.info('🌐 /realtime-session requested', { voice });
 
         // Request ephemeral token from OpenAI Realtime API
-        const response = await fetchWithTimeout('https://api.openai.com/v1/realtime/sessions', {
+        const response = await fetchWithTimeout(`${OPENAI_BASE_URL}/realtime/sessions`, {
           method: 'POST',
           headers: {
             'Authorization': `Bearer ${OPENAI_API_KEY}`,
@@ -659,28 +1658,197 @@ function startServer() {
         const data = await response.json();
 
         if (!response.ok) {
-          console.error('❌ OpenAI Realtime session error:', data);
+          logger.error('❌ OpenAI Realtime session error', { status: response.status, error: data });
           res.writeHead(response.status, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: data }));
           return;
         }
 
-        console.log('✅ Ephemeral token created (expires in ~60s)');
+        logger.info('✅ Ephemeral token created (expires in ~60s)');
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(data));
 
       } catch (error) {
-        console.error('❌ /realtime-session error:', error.message);
+        logger.error('❌ /realtime-session error', { error });
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: error.message }));
       }
       return;
     }
 
-    // Health check
-    if (req.method === 'GET' && (req.url === '/' || req.url === '/health')) {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ status: 'ok', version: '2.1.0', modes: ['classic', 'realtime'] }));
+    // Stored conversations: GET /sessions, GET|DELETE /sessions/:id
+    const sessionMatch = pathname.match(/^\/sessions(?:\/([^/]+))?\/?$/);
+    if (sessionMatch) {
+      const sessionId = sessionMatch[1] && decodeURIComponent(sessionMatch[1]);
+      try {
+        if (!sessionId && req.method === 'GET') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ sessions: await sessionStore.list() }));
+          return;
+        }
+
+        if (sessionId && !isValidSessionId(sessionId)) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid session id' }));
+          return;
+        }
+
+        if (sessionId && req.method === 'GET') {
+          const record = await sessionStore.load(sessionId);
+          res.writeHead(record ? 200 : 404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(record || { error: 'Session not found' }));
+          return;
+        }
+
+        if (sessionId && req.method === 'DELETE') {
+          const removed = await sessionStore.remove(sessionId);
+          res.writeHead(removed ? 204 : 404);
+          res.end();
+          return;
+        }
+      } catch (error) {
+        logger.error(`❌ ${pathname} error`, { error });
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+    }
+
+    // Speaker enrollment: GET /speakers, POST /speakers/:userId/enroll, DELETE /speakers/:userId
+    const speakerMatch = pathname.match(/^\/speakers(?:\/([^/]+)(\/enroll)?)?\/?$/);
+    if (speakerMatch) {
+      const userId = speakerMatch[1] && decodeURIComponent(speakerMatch[1]);
+      const isEnroll = !!speakerMatch[2];
+      try {
+        if (!speakerVerifier) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Speaker verification is disabled (SPEAKER_VERIFICATION=off)' }));
+          return;
+        }
+
+        if (!userId && req.method === 'GET') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ backend: speakerVerifier.name, speakers: await speakerVerifier.store.list() }));
+          return;
+        }
+
+        if (userId && !isValidUserId(userId)) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid user id' }));
+          return;
+        }
+
+        if (isEnroll && req.method === 'POST') {
+          // Body: raw PCM S16LE 16kHz mono (audio/pcm, application/octet-stream),
+          // a 16-bit PCM WAV file (audio/wav), or JSON {"audio": "<base64 PCM>"}
+          const body = await readBody(req, MAX_UTTERANCE_AUDIO_BYTES * 2);
+          const contentType = req.headers['content-type'] || '';
+          let pcm;
+          if (contentType.includes('json')) {
+            pcm = Buffer.from(JSON.parse(body.toString() || '{}').audio || '', 'base64');
+          } else if (contentType.includes('wav')) {
+            let wav;
+            try {
+              wav = wavToPcm(body);
+            } catch (error) {
+              throw Object.assign(error, { statusCode: 400 });
+            }
+            if (wav.channels !== 1) throw Object.assign(new Error('Enrollment WAV must be mono'), { statusCode: 400 });
+            pcm = createResampler(wav.sampleRate, 16000)(wav.pcm);
+          } else {
+            pcm = body;
+          }
+
+          const result = await speakerVerifier.enroll(userId, pcm);
+          logger.info('🔐 Enrolled speaker', { userId, enrollments: result.enrollments, speechMs: result.speechMs });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+          return;
+        }
+
+        if (userId && !isEnroll && req.method === 'DELETE') {
+          const removed = await speakerVerifier.remove(userId);
+          res.writeHead(removed ? 204 : 404);
+          res.end();
+          return;
+        }
+      } catch (error) {
+        logger.error(`❌ ${pathname} error`, { error });
+        res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+    }
+
+    // TTS cache (admin tokens only): GET /tts-cache (stats + most recently used entries),
+    // GET /tts-cache/:key (WAV), DELETE /tts-cache (everything) or /tts-cache/:key
+    const cacheMatch = pathname.match(/^\/tts-cache(?:\/([^/]+))?\/?$/);
+    if (cacheMatch) {
+      const key = cacheMatch[1];
+      if (!principal.admin) {
+        logger.warn('🚫 Admin route refused', { path: pathname, device: principal.device });
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Admin token required' }));
+        return;
+      }
+      try {
+        if (!ttsCache) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'TTS cache is disabled (TTS_CACHE=off)' }));
+          return;
+        }
+
+        if (key && !isValidCacheKey(key)) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid cache key' }));
+          return;
+        }
+
+        if (!key && req.method === 'GET') {
+          const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '100', 10) || 100, 1), 1000);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ...ttsCache.stats(), items: ttsCache.list(limit) }));
+          return;
+        }
+
+        if (key && req.method === 'GET') {
+          const entry = ttsCache.peek(key);
+          const pcm = entry && await ttsCache.get(key);
+          if (!pcm) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not cached' }));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'audio/wav' });
+          res.end(pcmToWav(pcm, entry.sampleRate));
+          return;
+        }
+
+        if (req.method === 'DELETE') {
+          if (key) {
+            const removed = await ttsCache.remove(key);
+            res.writeHead(removed ? 204 : 404);
+            res.end();
+            return;
+          }
+          const removed = await ttsCache.clear();
+          logger.info('🗑️ TTS cache cleared', { removed });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ removed }));
+          return;
+        }
+      } catch (error) {
+        logger.error(`❌ ${pathname} error`, { error });
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+    }
+
+    // Prometheus scrape endpoint (turn latencies, provider errors, connections, STT sessions)
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metrics.render());
       return;
     }
 
@@ -688,12 +1856,22 @@ function startServer() {
     res.end('Not found');
   });
 
-  const wss = new WebSocketServer({ server: httpServer });
+  // Authenticate during the upgrade: a client without a valid token gets a plain 401 and
+  // never becomes a WebSocket
+  const wss = new WebSocketServer({
+    server: httpServer,
+    verifyClient: ({ req }, done) => {
+      req.principal = authenticator.authenticate(req);
+      if (req.principal) return done(true);
+      logger.warn('🚫 Unauthenticated upgrade, rejected', { clientIP: req.socket.remoteAddress });
+      done(false, 401, 'Unauthorized');
+    }
+  });
   let connectionCounter = 0;
   let heartbeatInterval = null;
 
   const shutdown = (signal) => {
-    console.log(`🛑 Received ${signal}, shutting down...`);
+    logger.info(`🛑 Received ${signal}, shutting down...`);
 
     try { clearInterval(heartbeatInterval); } catch (_) {}
 
@@ -704,7 +1882,7 @@ function startServer() {
 
     try {
       wss.close(() => {
-        console.log('✅ WebSocket server closed');
+        logger.info('✅ WebSocket server closed');
         process.exit(0);
       });
     } catch (_) {
@@ -717,25 +1895,40 @@ function startServer() {
   process.once('SIGTERM', () => shutdown('SIGTERM'));
   process.once('SIGINT', () => shutdown('SIGINT'));
 
-  console.log(`🚀 Donna Voice Server v2 - Pure Voice Pipeline`);
-  console.log(`🔗 LLM: ${LLM_BACKEND === 'openclaw' ? `OpenClaw @ ${OPENCLAW_URL} (model: ${OPENCLAW_MODEL})` : `OpenAI ${OPENAI_MODEL}`}`);
-  console.log(`🎙️ STT: Deepgram Nova-3 (real-time)`);
-  console.log(`🔊 TTS: ElevenLabs ${ELEVENLABS_MODEL} (voice: ${ELEVENLABS_VOICE_ID.substring(0, 8)}...)`);
-  console.log(`🔐 Speaker Verification: ${AZURE_SPEAKER_KEY ? 'Azure (configured)' : 'disabled'}`);
+  logger.info(`🚀 Donna Voice Server v2 - Pure Voice Pipeline`);
+  logger.info(`🔗 LLM: ${LLM_BACKEND === 'openclaw' ? `OpenClaw @ ${OPENCLAW_URL} (model: ${OPENCLAW_MODEL})` : `OpenAI ${OPENAI_MODEL}`}`);
+  const sttInfo = sttProviderInfo(STT_PROVIDER);
+  logger.info(`🎙️ STT: ${sttInfo.provider} ${sttInfo.model} (${sttInfo.realtime ? 'real-time' : 'batch'})`);
+  const ttsInfo = resolveTTSProvider().info;
+  logger.info(`🔊 TTS: ${ttsInfo.provider} ${ttsInfo.model}${ttsInfo.voice ? ` (voice: ${ttsInfo.voice.substring(0, 8)}...)` : ''} — available: ${[...ttsProviders.keys()].join(', ')}`);
+  logger.info(`🔐 Speaker Verification: ${speakerVerifier ? `${speakerVerifier.name} (threshold ${SPEAKER_THRESHOLD})` : 'disabled'}`);
+  if (AUTH_MODE === 'off') {
+    logger.warn('⚠️ Auth: DISABLED (AUTH_MODE=off) — anyone on the network can use this server');
+  } else {
+    const activeTokens = tokenStore.list().filter((t) => !t.revokedAt).length;
+    logger.info(`🔑 Auth: tokens (${activeTokens} active${AUTH_SECRET ? ', signed tokens enabled' : ''})`);
+    if (activeTokens === 0) logger.warn('⚠️ No API tokens issued yet — run: npm run tokens -- issue <device>');
+  }
+  logger.info(`💾 Sessions: ${SESSION_STORE} (${SESSION_STORE === 'memory' ? 'not persisted' : DATA_DIR})`);
+  logger.info(`🗄️ TTS cache: ${ttsCache ? `${TTS_CACHE_DIR} (max ${TTS_CACHE_MAX_MB} MB)` : 'off'}`);
+  if (RECORD_SESSIONS) logger.warn(`⏺️ Recording every connection to ${RECORD_DIR} (RECORD_SESSIONS=on)`);
+  if ([STT_CHAIN, LLM_CHAIN, TTS_CHAIN].some((chain) => chain.length > 1)) {
+    logger.info(`🛟 Fallbacks: STT ${STT_CHAIN.join(' → ')}, LLM ${LLM_CHAIN.join(' → ')}, TTS ${TTS_CHAIN.join(' → ')}`);
+  }
 
   // Heartbeat
   const HEARTBEAT_INTERVAL = 30000;
   heartbeatInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
       if (ws.isAlive === false) {
-        console.log(`💔 [${ws.connectionId}] Connection timeout, terminating`);
+        ws.log.info('💔 Connection timeout, terminating');
         return ws.terminate();
       }
       ws.isAlive = false;
       try {
         ws.ping();
       } catch (err) {
-        console.warn(`⚠️ [${ws.connectionId}] ping failed: ${err.message}`);
+        ws.log.warn('⚠️ ping failed', { error: err });
       }
     });
   }, HEARTBEAT_INTERVAL);
@@ -747,12 +1940,27 @@ function startServer() {
   wss.on('connection', (ws, request) => {
     const connectionId = ++connectionCounter;
     const clientIP = request.socket.remoteAddress;
-    console.log(`🔌 [${connectionId}] Connected from ${clientIP}`);
+    const principal = request.principal; // set by verifyClient
+
+    ws.log = logger.child({ connectionId }); // gains sessionId once the session is attached
+    ws.log.info('🔌 Connected', { clientIP, device: principal.device });
+    ws.device = principal.device;
+    activeConnections.inc();
+    ws.recorder = RECORD_SESSIONS ? startRecording(ws, connectionId, principal.device) : null;
 
     ws.isAlive = true;
     ws.connectionId = connectionId;
-    ws.interrupted = false;
     ws.muteUntilMs = 0;
+    ws.transport = 'json'; // audio transport; 'binary' once negotiated in hello
+    ws.downlinkSeq = 0;
+    ws.uplinkCodec = 'pcm_s16le'; // codecs chosen by hello (see codec.js)
+    ws.downlinkCodec = 'pcm_s16le';
+    ws.opusDecoder = null;
+    // Client audio formats (hello `input`/`output`); STT always gets 16kHz mono
+    ws.inputFormat = { ...PIPELINE_FORMAT };
+    ws.outputFormat = { ...PIPELINE_FORMAT };
+    ws.uplinkConverters = new Map();
+    ws.vad = VAD_BARGE_IN ? new VoiceActivityDetector(VAD_OPTIONS) : null;
 
     // Create voice pipeline handler
     const pipeline = handleVoiceInteraction(ws, connectionId);
@@ -761,118 +1969,282 @@ function startServer() {
       ws.isAlive = true;
     });
 
-    // Send config
-    sendMessage(ws, {
-      type: 'config',
-      version: '2.0',
-      stt: { provider: 'Deepgram', model: 'Nova-3', realtime: true },
-      tts: { provider: 'ElevenLabs', model: ELEVENLABS_MODEL, voice: ELEVENLABS_VOICE_ID },
-      speakerVerification: !!AZURE_SPEAKER_KEY,
-      backend: LLM_BACKEND === 'openclaw' ? 'OpenClaw' : 'OpenAI'
-    });
+    // Resume a stored conversation if the client reconnects with ?session=<id>;
+    // otherwise a fresh session id is issued and sent in the `session` message.
+    const requestUrl = new URL(request.url || '/', 'http://localhost');
+    const sessionAttached = pipeline.attachSession(requestUrl.searchParams.get('session'));
+
+    // Server capabilities plus the effective session settings. Sent on connect and again
+    // whenever the settings change (hello, session.update).
+    const sendConfig = () => {
+      const effective = pipeline.effectiveSettings();
+      sendMessage(ws, {
+        type: 'config',
+        version: '2.0',
+        stt: sttProviderInfo(STT_PROVIDER),
+        tts: { ...resolveTTSProvider(effective.ttsProvider).info, voice: effective.voice, available: [...ttsProviders.keys()] },
+        speakerVerification: speakerVerifier ? speakerVerifier.name : false,
+        transports: ['json', 'binary'],
+        codecs: AUDIO_CODECS,
+        serverVad: VAD_BARGE_IN,
+        tools: toolRegistry.names,
+        languages: LANGUAGES,
+        listenModes: LISTEN_MODES,
+        backend: LLM_BACKEND === 'openclaw' ? 'OpenClaw' : 'OpenAI',
+        settings: effective
+      });
+    };
+
+    // Send config (again once a resumed session has loaded: it may carry its own settings)
+    sendConfig();
+    if (requestUrl.searchParams.get('session')) sessionAttached.then(sendConfig);
+
+    // Uplink audio from iOS (PCM S16LE 16kHz mono after decodeUplink), from either a JSON or a binary frame
+    const handleAudio = async (audioBuffer) => {
+      ws.recorder?.uplink(audioBuffer);
+
+      // Push-to-talk / hold-to-talk: audio outside a listen window is dropped, before the VAD
+      // too — pressing the button is how the user takes the floor
+      if (!pipeline.acceptsAudio()) return;
+
+      // The VAD hears everything, so it can pick up the user talking over playback.
+      // Confirmed speech while speaking is a barge-in: stop Donna and transcribe right away,
+      // starting with the buffered onset of what the user said.
+      if (ws.vad) {
+        const speaking = pipeline.getState() === 'speaking';
+        const onset = ws.vad.push(audioBuffer, { playback: speaking || Date.now() < (ws.muteUntilMs || 0) });
+        if (onset && speaking) {
+          ws.log.info('🗣️ Barge-in detected by server VAD');
+          sendMessage(ws, { type: 'barge_in' });
+          pipeline.handleInterrupt();
+          pipeline.setState('listening');
+          audioBuffer = ws.vad.takePreRoll();
+        }
+      }
 
-    ws.on('message', async (data) => {
-      ws.isAlive = true;
+      // Otherwise ignore audio during speaking/processing and during a post-playback cooldown
+      // to prevent echo/self-transcription loops.
+      const now = Date.now();
+      if (pipeline.getState() === 'speaking' || pipeline.getState() === 'processing' || now < (ws.muteUntilMs || 0)) {
+        return;
+      }
 
-      try {
-        const message = JSON.parse(data.toString());
+      // Get or create STT session (with a start lock to avoid duplicate provider connections)
+      let entry = sttSessions.get(connectionId);
+      if (!entry) {
+        entry = { session: null, starting: null, state: {} };
+        sttSessions.set(connectionId, entry);
+      }
 
-        if (message.type === 'audio') {
-          // Raw audio chunk from iOS — ignore during speaking/processing and during a post-playback cooldown
-          // to prevent echo/self-transcription loops.
-          const now = Date.now();
-          if (pipeline.getState() === 'speaking' || pipeline.getState() === 'processing' || now < (ws.muteUntilMs || 0)) {
-            return;
-          }
+      if (!entry.session || !entry.session.isActive) {
+        if (!entry.starting) {
+          // Providers are tried in STT_PROVIDER order (see resilience.js)
+          entry.starting = sttChain.run(async (provider) => {
+            let running = false;
+            const session = createSTTSession(provider, {
+              ...STT_OPTIONS[provider],
+              connectionId,
+              log: ws.log,
+              state: entry.state,
+              language: pipeline.effectiveSettings().language,
+              // Push-to-talk ends the utterance on listen_stop only, so the user can pause
+              endOnSilence: pipeline.effectiveSettings().listenMode !== 'push-to-talk',
+              onUtteranceEnd: (transcript, meta) => {
+                // Called on UtteranceEnd — user stopped speaking
+                pipeline.handleUtterance(transcript, meta);
+              },
+              onPartial: (text) => sendMessage(ws, { type: 'transcript_partial', text }),
+              onError: (error) => {
+                if (!running) return; // start failures are handled by the chain
+                ws.log.error('❌ STT error', { provider, error });
+                sttChain.failure(provider, new Error(error));
+                sendMessage(ws, { type: 'error', error: `STT error: ${error}` });
+              }
+            });
 
-          const audioBuffer = Buffer.from(message.data, 'base64');
+            entry.session = session; // set immediately so concurrent audio chunks don't create duplicates
+            try {
+              if (!(await session.start())) throw new Error(`Failed to start ${provider} STT`);
+            } catch (err) {
+              // If start fails, clean up so the next provider (or the next audio) can try again
+              try { session.cleanup(); } catch (_) {}
+              entry.session = null;
+              throw err;
+            }
+            running = true;
+            sttSessionsStarted.inc({ provider });
+            return session;
+          })
+            .then((session) => {
+              entry.sttDown = false;
+              pipeline.setState('listening');
+              return session;
+            })
+            .finally(() => {
+              entry.starting = null;
+            });
+        }
 
-          // Speaker verification (optional)
-          const isVerified = await verifySpeaker(audioBuffer);
-          if (!isVerified) {
-            console.log(`🚫 [${connectionId}] Speaker verification failed`);
-            sendMessage(ws, { type: 'error', error: 'Speaker not recognized' });
-            return;
+        try {
+          await entry.starting;
+        } catch (err) {
+          // Every provider failed, or is skipped while its circuit is open: tell the user once,
+          // not on every audio chunk, and drop audio until a provider is back
+          if (!entry.sttDown) {
+            entry.sttDown = true;
+            sendMessage(ws, { type: 'error', error: err.message || 'Failed to start STT' });
+            pipeline.apologize('stt');
           }
+          return;
+        }
+      }
 
-          // Get or create STT session (with a start lock to avoid duplicate Deepgram connections)
-          let entry = sttSessions.get(connectionId);
-          if (!entry) {
-            entry = { session: null, starting: null };
-            sttSessions.set(connectionId, entry);
-          }
+      // Push audio to STT (and keep it for speaker verification of the whole utterance).
+      // The session is gone if an utterance ended while this chunk waited for it to start.
+      if (!entry.session) return;
+      entry.session.pushAudio(audioBuffer);
+      if (speakerVerifier) pipeline.appendUtteranceAudio(audioBuffer);
+    };
+
+    // Decode and convert uplink audio to 16kHz mono PCM before it reaches STT.
+    // Opus packets share one decoder per connection, which decodes straight to 16kHz mono.
+    const decodeUplink = (codec, payload, format = ws.inputFormat) => {
+      if (codec === 'opus') {
+        if (!ws.opusDecoder) ws.opusDecoder = createOpusDecoder(PIPELINE_FORMAT);
+        return ws.opusDecoder.decode(payload);
+      }
 
-          if (!entry.session || !entry.session.isActive) {
-            if (!entry.starting) {
-              const session = new DeepgramSTTSession(
-                connectionId,
-                (transcript) => {
-                  // Called on UtteranceEnd — user stopped speaking
-                  pipeline.processTranscript(transcript);
-                },
-                (error) => {
-                  console.error(`❌ [${connectionId}] STT error:`, error);
-                  sendMessage(ws, { type: 'error', error: `STT error: ${error}` });
-                }
-              );
-
-              entry.session = session; // set immediately so concurrent audio chunks don't create duplicates
-              entry.starting = (async () => {
-                const started = await session.start();
-                if (!started) throw new Error('Failed to start STT');
-                pipeline.setState('listening');
-                return session;
-              })()
-                .catch((err) => {
-                  // If start fails, clean up so we can retry on next audio
-                  try { session.cleanup(); } catch (_) {}
-                  entry.session = null;
-                  throw err;
-                })
-                .finally(() => {
-                  entry.starting = null;
-                });
-            }
+      // Resampler state is kept per source format so chunk boundaries stay seamless
+      const key = `${format.sampleRate}/${format.channels}`;
+      if (!ws.uplinkConverters.has(key)) ws.uplinkConverters.set(key, createPcmConverter(format, PIPELINE_FORMAT));
+      return ws.uplinkConverters.get(key)(payload);
+    };
 
-            try {
-              await entry.starting;
-            } catch (err) {
-              sendMessage(ws, { type: 'error', error: err.message || 'Failed to start STT' });
-              return;
-            }
+    ws.on('message', async (data, isBinary) => {
+      ws.isAlive = true;
+
+      try {
+        if (isBinary) {
+          const frame = decodeFrame(data);
+          if (!isValidAudioFormat(frame)) {
+            sendMessage(ws, { type: 'error', error: `Unsupported audio format (${frame.sampleRate}Hz, ${frame.channels}ch)` });
+            return;
           }
+          await handleAudio(decodeUplink(frame.codec, frame.payload, frame));
+          return;
+        }
+
+        const message = JSON.parse(data.toString());
+        if (message.type !== 'audio') ws.recorder?.client(message);
 
-          // Push audio to STT
-          entry.session.pushAudio(audioBuffer);
+        if (message.type === 'audio') {
+          // JSON audio: {data} is PCM (or one Opus packet); {packets: [...]} carries several Opus packets
+          const codec = message.format === 'opus' || message.codec === 'opus' ? 'opus' : ws.uplinkCodec;
+          const payloads = Array.isArray(message.packets) ? message.packets : [message.data];
+          const pcm = payloads.map((p) => decodeUplink(codec, Buffer.from(p, 'base64')));
+          await handleAudio(pcm.length === 1 ? pcm[0] : Buffer.concat(pcm));
 
         } else if (message.type === 'playback_done') {
           // Client confirms audio has finished playing; short safety tail for speaker decay.
-          // Main echo protection is Deepgram session kill — this just catches residual reverb.
+          // Main echo protection is the STT session kill — this just catches residual reverb.
           ws.muteUntilMs = Date.now() + 500;
           pipeline.setState('listening');
-          console.log(`🔊 [${connectionId}] playback_done received → resume listening`);
+          ws.log.info('🔊 playback_done received → resume listening');
 
         } else if (message.type === 'interrupt') {
           // User interrupted (barge-in)
           pipeline.handleInterrupt();
 
+        } else if (message.type === 'listen_start' || message.type === 'listen_stop') {
+          // Button-delimited utterances (push-to-talk: toggled, hold-to-talk: held)
+          if (pipeline.effectiveSettings().listenMode === 'continuous') {
+            sendMessage(ws, { type: 'error', error: `${message.type} needs listenMode push-to-talk or hold-to-talk` });
+            return;
+          }
+          if (message.type === 'listen_start') pipeline.listenStart();
+          else await pipeline.listenStop();
+
+        } else if (message.type === 'session.update') {
+          // Change per-session settings mid-session; the effective result is echoed in `config`
+          const errors = await pipeline.updateSettings(message.settings);
+          if (errors.length > 0) {
+            sendMessage(ws, { type: 'error', error: `Invalid settings: ${errors.join('; ')}` });
+            return;
+          }
+          sendConfig();
+
+        } else if (message.type === 'text') {
+          // Typed input: skips STT and speaker verification, otherwise a normal turn.
+          // Typing while Donna talks counts as an interrupt.
+          const text = typeof message.text === 'string' ? message.text.trim() : '';
+          if (!text || text.length > MAX_TEXT_INPUT_CHARS) {
+            sendMessage(ws, { type: 'error', error: `text must be 1-${MAX_TEXT_INPUT_CHARS} characters` });
+            return;
+          }
+          if (pipeline.getState() !== 'listening') pipeline.handleInterrupt();
+          await pipeline.processTranscript(text);
+
+        } else if (message.type === 'hello') {
+          // Client handshake: resume/choose a session and set per-session pipeline settings
+          let requestedSettings;
+          if (message.settings !== undefined) {
+            const { errors } = parseSettingsUpdate(SETTINGS_SCHEMA, message.settings);
+            if (errors.length > 0) sendMessage(ws, { type: 'error', error: `Invalid settings: ${errors.join('; ')}` });
+            else requestedSettings = message.settings;
+          }
+          await pipeline.attachSession(message.sessionId, requestedSettings);
+          sendConfig();
+
+          // Audio transport + codec negotiation — legacy clients never ask and keep base64 JSON PCM.
+          // `codec` is a codec name for both directions, or {uplink, downlink}.
+          const codecRequest = typeof message.codec === 'string'
+            ? { uplink: message.codec, downlink: message.codec }
+            : (message.codec || {});
+          const negotiated = ['transport', 'codec', 'input', 'output'].some((key) => message[key] !== undefined);
+          if (message.transport === 'binary' || message.transport === 'json') ws.transport = message.transport;
+          if (AUDIO_CODECS.includes(codecRequest.uplink)) ws.uplinkCodec = codecRequest.uplink;
+          if (AUDIO_CODECS.includes(codecRequest.downlink)) ws.downlinkCodec = codecRequest.downlink;
+
+          // Audio formats: `input` is what the mic sends, `output` what the client wants to play
+          if (isValidAudioFormat(message.input)) {
+            ws.inputFormat = { sampleRate: message.input.sampleRate, channels: message.input.channels };
+          }
+          if (isValidAudioFormat(message.output)) {
+            ws.outputFormat = { sampleRate: message.output.sampleRate, channels: message.output.channels };
+          }
+          if (ws.downlinkCodec === 'opus') {
+            ws.outputFormat.sampleRate = opusSampleRate(ws.outputFormat.sampleRate);
+          }
+
+          if (negotiated) {
+            sendMessage(ws, {
+              type: 'transport',
+              transport: ws.transport,
+              codec: { uplink: ws.uplinkCodec, downlink: ws.downlinkCodec },
+              input: ws.inputFormat,
+              output: ws.outputFormat
+            });
+            ws.log.info(`📦 Audio transport: ${ws.transport} (uplink ${ws.uplinkCodec} ${ws.inputFormat.sampleRate}Hz/${ws.inputFormat.channels}ch, downlink ${ws.downlinkCodec} ${ws.outputFormat.sampleRate}Hz/${ws.outputFormat.channels}ch)`);
+          }
+
         } else if (message.type === 'ping') {
           sendMessage(ws, { type: 'pong' });
         }
 
       } catch (error) {
-        console.error(`❌ [${connectionId}] Message error:`, error.message);
+        ws.log.error('❌ Message error', { error });
         sendMessage(ws, { type: 'error', error: 'Invalid message' });
       }
     });
 
     ws.on('error', (error) => {
-      console.error(`⚠️ [${connectionId}] WebSocket error:`, error.message);
+      ws.log.error('⚠️ WebSocket error', { error });
     });
 
     ws.on('close', (code, reason) => {
       const reasonStr = reason ? reason.toString() : 'no reason';
-      console.log(`🔌 [${connectionId}] Disconnected (code: ${code}, reason: ${reasonStr})`);
+      ws.log.info('🔌 Disconnected', { code, reason: reasonStr });
+      activeConnections.dec();
 
       // Cleanup STT session
       const entry = sttSessions.get(connectionId);
@@ -880,26 +2252,47 @@ function startServer() {
         entry.session.cleanup();
       }
       sttSessions.delete(connectionId);
+
+      if (ws.opusDecoder) {
+        ws.opusDecoder.destroy();
+        ws.opusDecoder = null;
+      }
+
+      pipeline.dispose();
+      ws.recorder?.close();
     });
   });
 
   wss.on('error', (error) => {
-    console.error(`❌ WebSocket server error:`, error.message);
+    logger.error('❌ WebSocket server error', { error });
   });
 
   httpServer.on('error', (error) => {
-    console.error(`❌ HTTP server error:`, error.message);
+    logger.error('❌ HTTP server error', { error });
     if (error && (error.code === 'EADDRINUSE' || String(error.message || '').includes('EADDRINUSE'))) {
-      console.error('❌ Port already in use. Exiting so launchd can retry cleanly.');
+      logger.error('❌ Port already in use. Exiting so launchd can retry cleanly.');
       process.exit(1);
     }
   });
 
   httpServer.listen(PORT, '0.0.0.0', () => {
-    console.log(`✅ Ready on http://0.0.0.0:${PORT} (WebSocket + REST)`);
-    console.log(`   POST /realtime-session → OpenAI Realtime ephemeral token`);
-    console.log(`   GET  /health           → Health check`);
-    console.log(`   ws://0.0.0.0:${PORT}   → Classic voice pipeline`);
+    const { port } = httpServer.address(); // PORT=0 picks a free one (e2e tests)
+    logger.info(`✅ Ready on http://0.0.0.0:${port} (WebSocket + REST)`);
+    logger.info(`   POST /realtime-session → OpenAI Realtime ephemeral token`);
+    logger.info(`   POST /auth/token       → Short-lived signed token`);
+    logger.info(`   GET  /sessions         → Stored conversations (GET /sessions/:id for one)`);
+    logger.info(`   POST /speakers/:id/enroll → Speaker enrollment (GET /speakers to list)`);
+    logger.info(`   GET  /tts-cache        → TTS cache stats (DELETE to clear)`);
+    logger.info(`   GET  /health           → Health check`);
+    logger.info(`   GET  /metrics          → Prometheus metrics`);
+    logger.info(`   ws://0.0.0.0:${port}   → Classic voice pipeline`);
+    if (ttsCache) {
+      // The apologies are always cached, so they can be played while TTS is down
+      const languages = DEFAULT_LANGUAGE === AUTO_LANGUAGE ? [null, ...LANGUAGES] : [DEFAULT_LANGUAGE];
+      const apologies = languages.map((language) => ({ language, text: apologyFor(language) }));
+      (TTS_CACHE_PREWARM ? readPrewarmPhrases(TTS_CACHE_PREWARM) : Promise.resolve([]))
+        .then((phrases) => prewarmTTSCache([...apologies, ...phrases]));
+    }
   });
 }
 
@@ -0,0 +1,171 @@
+/**
+ * Structured logging: one JSON object per line in a rotated file under logs/, plus a readable
+ * line on the console.
+ *
+ *   const log = logger.child({ connectionId: 3 });
+ *   log.set({ sessionId });                         // context that arrives later
+ *   log.child({ turnId: 7 }).info('🦋 Processing', { transcript });
+ *   → {"time":"…","level":"info","msg":"🦋 Processing","connectionId":3,"sessionId":"…","turnId":7,"transcript":"…"}
+ *
+ * With `redact` the user's words (transcripts, replies, spoken text) are replaced by their
+ * length, so logs can be shared without conversation content. Pass such text as a field —
+ * never inside `msg` — so redaction can find it.
+ *
+ * The file rotates when it passes `maxBytes` or, with `rotate: 'daily'`, at the first write on
+ * a new day; rotated files get a timestamp suffix and only the newest `maxFiles` are kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_CONSOLE_FORMATS = ['pretty', 'json', 'off'];
+
+// Fields holding what the user said or what Donna answered (tool results can quote notes)
+const REDACTED_FIELDS = new Set(['transcript', 'text', 'response', 'partial', 'speech', 'result']);
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const config = {
+  level: 'info',
+  console: 'pretty',
+  redact: false,
+  file: null // RotatingFile
+};
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code && { code: value.code }), ...(value.statusCode && { statusCode: value.statusCode }) };
+  }
+  return value;
+}
+
+function redact(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = REDACTED_FIELDS.has(key) && typeof value === 'string' ? `[redacted ${value.length} chars]` : value;
+  }
+  return result;
+}
+
+// "🦋 Processing" + {connectionId: 3, transcript: "Hoi"} → `🦋 [3] Processing transcript="Hoi"`
+function pretty(msg, { connectionId, sessionId, turnId, ...fields }) {
+  const context = connectionId !== undefined ? `[${connectionId}${turnId !== undefined ? `#${turnId}` : ''}]` : '';
+  const [, icon, rest] = /^([^\p{L}\p{N}\s[]+\s)?(.*)$/su.exec(msg);
+  const details = Object.entries(fields)
+    .map(([key, value]) => {
+      const shown = value && typeof value === 'object' ? (value.message ?? JSON.stringify(value)) : value;
+      return `${key}=${typeof shown === 'string' && /\s/.test(shown) ? JSON.stringify(shown) : shown}`;
+    })
+    .join(' ');
+  return [`${icon || ''}${context}`.trim(), rest, details].filter(Boolean).join(' ');
+}
+
+class RotatingFile {
+  constructor({ file, maxBytes, maxFiles, rotate }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.rotate = rotate;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.file, 'a');
+    const { size, mtime } = fs.fstatSync(this.fd);
+    this.bytes = size;
+    this.day = size > 0 ? mtime.toDateString() : new Date().toDateString();
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    const newDay = this.rotate === 'daily' && this.day !== new Date().toDateString();
+    if (this.bytes > 0 && (newDay || this.bytes + bytes > this.maxBytes)) this.rollOver();
+    fs.writeSync(this.fd, line);
+    this.bytes += bytes;
+  }
+
+  // donna.jsonl → donna.2026-10-19T12-00-00-000Z.jsonl, then drop the oldest beyond maxFiles
+  rollOver() {
+    fs.closeSync(this.fd);
+    const { dir, name, ext } = path.parse(this.file);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(this.file, path.join(dir, `${name}.${stamp}${ext}`));
+    this.open();
+
+    const rotated = fs.readdirSync(dir)
+      .filter((f) => f.startsWith(`${name}.`) && f.endsWith(ext) && f !== path.basename(this.file))
+      .sort();
+    for (const old of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+      fs.unlink(path.join(dir, old), () => {});
+    }
+  }
+}
+
+export class Logger {
+  constructor(fields = {}, parent = null) {
+    this.fields = fields;
+    this.parent = parent;
+  }
+
+  // Children read their parent's fields at write time, so a later `set` reaches them too
+  child(fields) {
+    return new Logger({ ...fields }, this);
+  }
+
+  get context() {
+    return this.parent ? { ...this.parent.context, ...this.fields } : this.fields;
+  }
+
+  set(fields) {
+    Object.assign(this.fields, fields);
+  }
+
+  debug(msg, fields) { this.write('debug', msg, fields); }
+  info(msg, fields) { this.write('info', msg, fields); }
+  warn(msg, fields) { this.write('warn', msg, fields); }
+  error(msg, fields) { this.write('error', msg, fields); }
+
+  write(level, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.level)) return;
+    let entry = { ...this.context };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = serialize(value);
+    }
+    if (config.redact) entry = redact(entry);
+
+    const json = JSON.stringify({ time: new Date().toISOString(), level, msg, ...entry });
+    if (config.file) {
+      try {
+        config.file.write(`${json}\n`);
+      } catch (error) {
+        console.error(`⚠️ Log file write failed: ${error.message}`);
+      }
+    }
+    if (config.console === 'json') console[CONSOLE_METHODS[level]](json);
+    else if (config.console === 'pretty') console[CONSOLE_METHODS[level]](pretty(msg, entry));
+  }
+}
+
+// Root logger; modules log through it or a child of it
+export const logger = new Logger();
+
+/**
+ * Apply the LOG_* settings. Until this runs, everything goes to the console at `info`.
+ *
+ * @param {object} options
+ * @param {string} options.level       - 'debug' | 'info' | 'warn' | 'error'
+ * @param {string} options.console     - 'pretty' | 'json' | 'off'
+ * @param {boolean} options.redact     - hide transcripts and replies
+ * @param {string|null} options.file   - JSON log file, or null for none
+ * @param {number} options.maxBytes    - rotate when the file grows past this
+ * @param {number} options.maxFiles    - rotated files to keep
+ * @param {string} options.rotate      - 'daily' or 'off' (size only)
+ */
+export function configureLogger({ level, console: consoleFormat, redact: redactContent, file, maxBytes, maxFiles, rotate }) {
+  config.level = level;
+  config.console = consoleFormat;
+  config.redact = redactContent;
+  config.file = file ? new RotatingFile({ file, maxBytes, maxFiles, rotate }) : null;
+}
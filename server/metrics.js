@@ -0,0 +1,154 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels, rendered in the
+ * text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ *   const registry = new MetricsRegistry();
+ *   const errors = registry.counter('donna_provider_errors_total', 'Failed provider requests', ['stage', 'provider']);
+ *   errors.inc({ stage: 'tts', provider: 'elevenlabs' });
+ *   res.end(registry.render());
+ *
+ * Gauges can take a `collect()` callback instead of being set, for values that are cheaper
+ * to read at scrape time (connection counts, circuit states).
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key → { labels, value }
+  }
+
+  // Only declared labels, in declared order, so equal label sets share one series
+  seriesFor(labels = {}) {
+    const picked = Object.fromEntries(this.labelNames.map((n) => [n, labels[n] ?? '']));
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, { labels: picked, value: this.initial() });
+    return this.series.get(key);
+  }
+
+  initial() {
+    return 0;
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames = []) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {() => { labels?: object, value: number }[] | number} [collect] - read the value(s) at scrape time
+   */
+  constructor(name, help, labelNames = [], collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  dec(labels, amount = 1) {
+    this.seriesFor(labels).value -= amount;
+  }
+
+  samples() {
+    if (this.collect) {
+      const collected = this.collect();
+      this.series.clear();
+      for (const { labels, value } of typeof collected === 'number' ? [{ value: collected }] : collected) {
+        this.set(labels, value);
+      }
+    }
+    return super.samples();
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {number[]} buckets - upper bounds, ascending (+Inf is added)
+   */
+  constructor(name, help, labelNames = [], buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const { value: data } = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) data.counts[i]++;
+    });
+    data.sum += value;
+    data.count++;
+  }
+
+  samples() {
+    return [...this.series.values()].flatMap(({ labels, value: data }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${data.counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${data.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${Number(data.sum.toFixed(6))}`,
+      `${this.name}_count${formatLabels(labels)} ${data.count}`
+    ]);
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${this.metrics.map((m) => m.render()).join('\n')}\n`;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * What Donna tells the LLM, per language: the system prompt (persona + voice rules) and the
+ * texts used to fold older turns into a summary. Languages without their own texts get the
+ * English ones plus an instruction to answer in theirs.
+ */
+
+export const LANGUAGE_NAMES = { nl: 'Dutch', en: 'English', de: 'German', fr: 'French', es: 'Spanish' };
+
+export const DEFAULT_PERSONA = 'Je bent Donna, een behulpzame en vriendelijke AI-assistent.';
+
+const PROMPTS = {
+  nl: {
+    persona: DEFAULT_PERSONA,
+    voiceRules: `Je praat in het Nederlands.
+Dit is een voice gesprek. Antwoord KORT in 1-3 zinnen, geen markdown/bullets, praat natuurlijk en conversationeel.`,
+    summarize: 'Vat dit gesprek samen in maximaal 5 korte zinnen. Bewaar namen, feiten, afspraken en open vragen.',
+    previousSummary: 'Eerdere samenvatting:',
+    summaryHeader: 'Samenvatting van het eerdere gesprek:',
+    user: 'Gebruiker'
+  },
+  en: {
+    persona: 'You are Donna, a helpful and friendly AI assistant.',
+    voiceRules: `You speak English.
+This is a voice conversation. Answer BRIEFLY in 1-3 sentences, no markdown/bullets, speak naturally and conversationally.`,
+    summarize: 'Summarize this conversation in at most 5 short sentences. Keep names, facts, appointments and open questions.',
+    previousSummary: 'Earlier summary:',
+    summaryHeader: 'Summary of the earlier conversation:',
+    user: 'User'
+  }
+};
+
+const promptsFor = (language) => PROMPTS[language] || PROMPTS.en;
+
+// For languages without their own texts (and null: auto-detection has nothing yet)
+const languageRule = (language) => (LANGUAGE_NAMES[language]
+  ? `You speak ${LANGUAGE_NAMES[language]}, whatever language the instructions are in.`
+  : 'Always answer in the language the user speaks.');
+
+/**
+ * @param {object} options
+ * @param {string} [options.persona] - session persona; defaults to Donna in `language`
+ * @param {string|null} options.language - null when auto-detection has nothing yet
+ */
+export function buildSystemPrompt({ persona, language }) {
+  const rules = PROMPTS[language]?.voiceRules || PROMPTS.en.voiceRules.replace('You speak English.', languageRule(language));
+  return `${persona || PROMPTS[language]?.persona || DEFAULT_PERSONA}\n${rules}`;
+}
+
+/**
+ * Chat-completions `messages` asking the LLM to fold `messages` (and the summary so far)
+ * into a new summary, written in `language`.
+ */
+export function buildSummaryRequest(previousSummary, messages, language) {
+  const prompts = promptsFor(language);
+  const instruction = PROMPTS[language]
+    ? prompts.summarize
+    : `${prompts.summarize} Write it in ${LANGUAGE_NAMES[language] || 'the language of the conversation'}.`;
+  const transcript = messages
+    .map((m) => `${m.role === 'user' ? prompts.user : 'Donna'}: ${m.content}`)
+    .join('\n');
+  return [
+    { role: 'system', content: instruction },
+    { role: 'user', content: (previousSummary ? `${prompts.previousSummary} ${previousSummary}\n\n` : '') + transcript }
+  ];
+}
+
+/**
+ * Introduces the running summary in the messages sent with every request.
+ */
+export function summaryHeader(language) {
+  return promptsFor(language).summaryHeader;
+}
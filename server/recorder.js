@@ -0,0 +1,112 @@
+/**
+ * Session recorder: saves what one connection heard and said into a bundle directory, so a
+ * misheard utterance or an echo loop can be replayed later with `npm run replay` (replay.js).
+ *
+ *   recordings/2026-10-19T12-56-41-588Z-c4/
+ *     meta.json     connection, device, server setup, start/end time, audio formats
+ *     events.jsonl  {t, kind, ...} per line — t in ms since the connection opened
+ *     uplink.pcm    all audio the client sent, as STT gets it (PCM S16LE 16kHz mono)
+ *     downlink.pcm  the TTS audio sent back (PCM S16LE mono, sample rate per `tts` event)
+ *
+ * Event kinds: `uplink` and `tts` point into the PCM files ({offset, bytes}); `client` and
+ * `server` hold a JSON message in either direction (audio messages are left out — their PCM
+ * is already in the files).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const RECORDING_VERSION = 1;
+
+export class SessionRecorder {
+  /**
+   * @param {string} dir - parent directory; the bundle gets its own subdirectory
+   * @param {object} options
+   * @param {number} options.connectionId
+   * @param {string} [options.device]       - authenticated device name
+   * @param {object} [options.server]       - server setup worth knowing when replaying (providers, VAD)
+   * @param {{sampleRate: number, channels: number}} options.uplinkFormat
+   * @param {Logger} [options.log]
+   */
+  constructor(dir, { connectionId, device, server, uplinkFormat, log = logger }) {
+    this.startedAt = Date.now();
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+    this.dir = path.join(dir, `${stamp}-c${connectionId}`);
+    this.log = log;
+    this.closed = false;
+    this.offsets = { uplink: 0, downlink: 0 };
+    this.meta = {
+      version: RECORDING_VERSION,
+      connectionId,
+      device,
+      startedAt: new Date(this.startedAt).toISOString(),
+      server,
+      uplink: { file: 'uplink.pcm', ...uplinkFormat },
+      downlink: { file: 'downlink.pcm', channels: 1 }
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, 'meta.json'), `${JSON.stringify(this.meta, null, 2)}\n`);
+    this.files = {
+      events: this.open('events.jsonl'),
+      uplink: this.open('uplink.pcm'),
+      downlink: this.open('downlink.pcm')
+    };
+  }
+
+  open(name) {
+    const stream = fs.createWriteStream(path.join(this.dir, name));
+    stream.on('error', (error) => {
+      if (this.closed) return;
+      this.log.warn('⚠️ Recording failed, stopped', { dir: this.dir, error });
+      this.close();
+    });
+    return stream;
+  }
+
+  event(kind, fields) {
+    if (this.closed) return;
+    this.files.events.write(`${JSON.stringify({ t: Date.now() - this.startedAt, kind, ...fields })}\n`);
+  }
+
+  append(file, kind, pcm, fields) {
+    if (this.closed) return;
+    this.event(kind, { offset: this.offsets[file], bytes: pcm.length, ...fields });
+    this.files[file].write(pcm);
+    this.offsets[file] += pcm.length;
+  }
+
+  /** Uplink audio, 16kHz mono — recorded before VAD and muting decide whether STT hears it */
+  uplink(pcm) {
+    this.append('uplink', 'uplink', pcm);
+  }
+
+  /** One block of TTS audio as sent (mono, before channel expansion and Opus encoding) */
+  tts(pcm, { index, text, sampleRate }) {
+    this.append('downlink', 'tts', pcm, { index, text, sampleRate });
+  }
+
+  client(message) {
+    this.event('client', { message });
+  }
+
+  server(message) {
+    this.event('server', { message });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const stream of Object.values(this.files)) stream.end();
+
+    const endedAt = Date.now();
+    this.meta.endedAt = new Date(endedAt).toISOString();
+    this.meta.durationMs = endedAt - this.startedAt;
+    this.meta.uplink.bytes = this.offsets.uplink;
+    this.meta.downlink.bytes = this.offsets.downlink;
+    fs.writeFile(path.join(this.dir, 'meta.json'), `${JSON.stringify(this.meta, null, 2)}\n`, (error) => {
+      if (error) this.log.warn('⚠️ Recording meta write failed', { dir: this.dir, error });
+    });
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Replay a recorded session bundle (RECORD_SESSIONS=on, see recorder.js) against a server,
+ * with the original timing: uplink audio and client messages go out at the moment they were
+ * recorded, so endpointing, VAD barge-in and echo bugs come back the same way.
+ *
+ *   npm run replay -- data/recordings/2026-10-19T12-56-41-588Z-c4
+ *   npm run replay -- <bundle> --fake-script   → print STT_FAKE_SCRIPT for a fake-provider server
+ *
+ * `playback_done` is the exception to the clock: it follows the replayed server's `audio_end`
+ * after the same delay as in the recording, because answers never arrive at exactly the same
+ * moment twice. A resumed session (sessionId in hello) replays into a fresh session.
+ *
+ * Afterwards the transcripts of both runs are compared; the exit code is 1 when they differ.
+ * Env as for ws-test-client.js: WS_URL, WS_TOKEN, WS_TRANSPORT, WS_CODEC, plus REPLAY_TAIL_MS
+ * (how long to keep listening after the last recorded event, default 3000).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RECORDING_VERSION } from './recorder.js';
+import { connect, createAudioSender } from './ws-client.js';
+
+const url = process.env.WS_URL || 'ws://127.0.0.1:8765';
+const token = process.env.WS_TOKEN;
+const transport = process.env.WS_TRANSPORT || 'json';
+const codec = process.env.WS_CODEC || 'pcm_s16le';
+const tailMs = parseInt(process.env.REPLAY_TAIL_MS || '3000', 10);
+
+const [bundle, flag] = process.argv.slice(2);
+if (!bundle) {
+  console.error('Usage: node replay.js <bundle dir> [--fake-script]');
+  process.exit(1);
+}
+
+const meta = JSON.parse(fs.readFileSync(path.join(bundle, 'meta.json'), 'utf8'));
+if (meta.version !== RECORDING_VERSION) {
+  console.error(`❌ Unsupported recording version ${meta.version} (expected ${RECORDING_VERSION})`);
+  process.exit(1);
+}
+const events = fs.readFileSync(path.join(bundle, 'events.jsonl'), 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map((line) => JSON.parse(line));
+const uplinkPcm = fs.readFileSync(path.join(bundle, meta.uplink.file));
+
+const serverMessages = (type) => events.filter((e) => e.kind === 'server' && e.message.type === type);
+const recordedTranscripts = serverMessages('transcript').map((e) => e.message.text);
+
+// Transcripts that came from speech (typed `text` input is replayed as is)
+function spokenTranscripts() {
+  const typed = events.filter((e) => e.kind === 'client' && e.message.type === 'text').map((e) => e.message.text.trim());
+  return recordedTranscripts.filter((text) => {
+    if (typed[0] !== text) return true;
+    typed.shift();
+    return false;
+  });
+}
+
+if (flag === '--fake-script') {
+  console.log(`STT_FAKE_SCRIPT=${JSON.stringify(spokenTranscripts().join('|'))}`);
+  process.exit(0);
+}
+
+// What the original client sent in hello, minus what belongs to this run: the audio format
+// (uplink.pcm is already 16kHz mono) and the session to resume
+function replayHello({ transport: _t, codec: _c, input: _i, output: _o, sessionId: _s, ...rest }) {
+  return { ...rest, ...(transport !== 'json' && { transport }), ...(codec !== 'pcm_s16le' && { codec }) };
+}
+
+// Each recorded playback_done, as a delay after the audio_end it answered
+const playbackDelays = [];
+let lastAudioEnd = null;
+for (const event of events) {
+  if (event.kind === 'server' && event.message.type === 'audio_end') lastAudioEnd = event.t;
+  if (event.kind === 'client' && event.message.type === 'playback_done' && lastAudioEnd !== null) {
+    playbackDelays.push(event.t - lastAudioEnd);
+    lastAudioEnd = null;
+  }
+}
+
+const duration = events.length ? events[events.length - 1].t : 0;
+console.log(`▶️ Replaying ${bundle} (${(duration / 1000).toFixed(1)}s, ${events.length} events, ${recordedTranscripts.length} transcripts) → ${url}`);
+
+const ws = connect(url, token);
+const timers = [];
+const replayTranscripts = [];
+let replayBargeIns = 0;
+let startedAt = 0;
+
+const elapsed = () => `+${((Date.now() - startedAt) / 1000).toFixed(3)}s`;
+
+ws.on('open', () => {
+  startedAt = Date.now();
+  const sendAudio = createAudioSender(ws, { transport, codec });
+  let unansweredAudioEnd = false;
+
+  for (const event of events) {
+    let send = null;
+    if (event.kind === 'uplink') {
+      const pcm = uplinkPcm.subarray(event.offset, event.offset + event.bytes);
+      send = () => sendAudio(pcm);
+    } else if (event.kind === 'client') {
+      const { message } = event;
+      if (message.type === 'playback_done' && unansweredAudioEnd) {
+        unansweredAudioEnd = false;
+        continue; // sent relative to the replayed audio_end
+      }
+      const outgoing = message.type === 'hello' ? replayHello(message) : message;
+      send = () => {
+        console.log(`${elapsed()} → ${outgoing.type}`);
+        ws.send(JSON.stringify(outgoing));
+      };
+    } else if (event.kind === 'server' && event.message.type === 'audio_end') {
+      unansweredAudioEnd = true;
+    }
+    if (send) timers.push(setTimeout(() => ws.readyState === 1 && send(), event.t));
+  }
+
+  timers.push(setTimeout(() => ws.close(), duration + tailMs));
+});
+
+ws.on('message', (data, isBinary) => {
+  if (isBinary) return; // TTS audio frames
+
+  let msg;
+  try { msg = JSON.parse(data.toString()); } catch { return; }
+
+  if (msg.type === 'transcript') {
+    replayTranscripts.push(msg.text);
+    console.log(`${elapsed()} ← transcript ${JSON.stringify(msg.text)}`);
+  } else if (msg.type === 'transcript_partial') {
+    console.log(`${elapsed()} ← transcript_partial ${JSON.stringify(msg.text)}`);
+  } else if (msg.type === 'state') {
+    console.log(`${elapsed()} ← state ${msg.state}`);
+  } else if (msg.type === 'response_done') {
+    console.log(`${elapsed()} ← response_done ${JSON.stringify(msg.text)}`);
+  } else if (msg.type === 'audio_end') {
+    console.log(`${elapsed()} ← audio_end`);
+    const delay = playbackDelays.shift();
+    if (delay !== undefined) {
+      timers.push(setTimeout(() => {
+        console.log(`${elapsed()} → playback_done`);
+        ws.send(JSON.stringify({ type: 'playback_done' }));
+      }, delay));
+    }
+  } else if (msg.type === 'barge_in') {
+    replayBargeIns++;
+    console.log(`${elapsed()} ← barge_in`);
+  } else if (msg.type === 'error') {
+    console.log(`${elapsed()} ← error ${msg.error}`);
+  } else if (msg.type === 'apology') {
+    console.log(`${elapsed()} ← apology (${msg.stage})`);
+  }
+});
+
+ws.on('close', (code, reason) => {
+  timers.forEach(clearTimeout);
+  console.log(`${startedAt ? elapsed() : ''} close ${code} ${reason?.toString() || ''}`.trim());
+
+  const count = Math.max(recordedTranscripts.length, replayTranscripts.length);
+  let differences = 0;
+  console.log('\nTranscripts (recorded → replay):');
+  for (let i = 0; i < count; i++) {
+    const [recorded, replayed] = [recordedTranscripts[i], replayTranscripts[i]];
+    const same = recorded === replayed;
+    if (!same) differences++;
+    console.log(`  ${same ? '✅' : '❌'} ${i + 1}. ${JSON.stringify(recorded ?? null)} → ${JSON.stringify(replayed ?? null)}`);
+  }
+  console.log(`Barge-ins: ${serverMessages('barge_in').length} → ${replayBargeIns}`);
+  console.log(differences === 0 ? '\n✅ Same transcripts' : `\n❌ ${differences} transcript(s) differ`);
+  process.exit(differences === 0 ? 0 : 1);
+});
+
+ws.on('error', (err) => {
+  console.error('error', err.message);
+});
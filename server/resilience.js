@@ -0,0 +1,260 @@
+/**
+ * Retries, circuit breakers and ordered fallbacks for the provider stages (STT, LLM, TTS).
+ *
+ * A `ProviderChain` holds the providers of one stage in order of preference, each behind its
+ * own `CircuitBreaker`. A request goes to the first provider whose breaker is closed,
+ * is retried there on transient errors, and moves on to the next provider once retries are
+ * exhausted. When no provider is left the chain throws `AllProvidersFailedError`.
+ *
+ * Breaker states: `closed` (normal), `open` (after `threshold` consecutive failures — the
+ * provider is skipped for `cooldownMs`), `half-open` (cooldown over — the next request is a
+ * trial that closes the breaker on success or re-opens it on failure; other requests keep
+ * skipping the provider until the trial has settled).
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { logger } from './logger.js';
+
+const RETRY_BASE_DELAY_MS = 250;
+
+export class AllProvidersFailedError extends Error {
+  /**
+   * @param {string} stage - 'stt', 'llm' or 'tts'
+   * @param {{ provider: string, message: string }[]} errors - one per provider tried (empty when every breaker was open)
+   */
+  constructor(stage, errors) {
+    const detail = errors.length > 0 ? errors.map((e) => `${e.provider}: ${e.message}`).join('; ') : 'all circuits open';
+    super(`No ${stage.toUpperCase()} provider available (${detail})`);
+    this.name = 'AllProvidersFailedError';
+    this.stage = stage;
+    this.errors = errors;
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * Network errors, timeouts and 5xx are worth another try; other 4xx (bad key, bad request)
+ * will fail the same way again. A 429 is not retried here either: TTS backs off on it in
+ * its scheduler (honouring Retry-After), and retrying a throttled provider from both layers
+ * would only add load — for the other stages it moves on to the next provider.
+ */
+export function isRetryable(error) {
+  const status = error.statusCode;
+  return !status || status >= 500;
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - for logs, e.g. "tts/elevenlabs"
+   * @param {object} options
+   * @param {number} options.threshold   - consecutive failures that open the circuit
+   * @param {number} options.cooldownMs  - how long an open circuit skips the provider
+   */
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialRunning = false; // half-open: the one request let through is still running
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      logger.info('🔌 Circuit half-open, trying again', { provider: this.name });
+    }
+    if (this.state === 'open') return false;
+    if (this.state === 'half-open') {
+      if (this.trialRunning) return false;
+      this.trialRunning = true;
+    }
+    return true;
+  }
+
+  // An allowed request ended without a verdict (aborted): the next one may be the trial
+  release() {
+    this.trialRunning = false;
+  }
+
+  success() {
+    if (this.state !== 'closed') logger.info('🔌 Circuit closed', { provider: this.name });
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialRunning = false;
+    this.lastSuccessAt = new Date().toISOString();
+  }
+
+  failure(error) {
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date().toISOString();
+    this.trialRunning = false;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.warn('🔌 Circuit open', { provider: this.name, cooldownMs: this.cooldownMs, failures: this.failures, error: this.lastError });
+    }
+  }
+
+  status() {
+    return {
+      state: this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      ...(this.state === 'open' && { retryInMs: Math.max(0, this.openedAt + this.cooldownMs - Date.now()) })
+    };
+  }
+}
+
+export class ProviderChain {
+  /**
+   * @param {string} stage - 'stt', 'llm' or 'tts'
+   * @param {string[]} names - providers in order of preference
+   * @param {object} options
+   * @param {number} options.retries     - extra attempts per provider on transient errors
+   * @param {number} options.threshold   - see CircuitBreaker
+   * @param {number} options.cooldownMs  - see CircuitBreaker
+   * @param {(name: string, error: Error) => void} [options.onError] - every failed attempt (for metrics)
+   */
+  constructor(stage, names, { retries, threshold, cooldownMs, onError }) {
+    this.stage = stage;
+    this.names = names;
+    this.retries = retries;
+    this.onError = onError;
+    this.breakerOptions = { threshold, cooldownMs };
+    this.breakers = new Map();
+    for (const name of names) this.breaker(name);
+  }
+
+  breaker(name) {
+    if (!this.breakers.has(name)) this.breakers.set(name, new CircuitBreaker(`${this.stage}/${name}`, this.breakerOptions));
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Providers to try, in order: `preferred` (e.g. a session's own choice) first. Each one's
+   * circuit is asked only when its turn comes, so a half-open trial is never claimed by a
+   * request that succeeds on an earlier provider.
+   */
+  candidates(preferred) {
+    return preferred ? [preferred, ...this.names.filter((n) => n !== preferred)] : this.names;
+  }
+
+  // Record a failure seen outside `run`/`stream` (e.g. an STT connection dropping mid-session)
+  failure(name, error) {
+    this.onError?.(name, error);
+    this.breaker(name).failure(error);
+  }
+
+  /**
+   * Run `attempt(name)` against the providers in turn until one succeeds.
+   *
+   * @param {(name: string) => Promise<any>} attempt
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - aborting stops retrying; aborts never count as failures
+   * @param {string} [options.preferred]
+   */
+  async run(attempt, { signal, preferred } = {}) {
+    const errors = [];
+    for (const name of this.candidates(preferred)) {
+      const breaker = this.breaker(name);
+      if (!breaker.allowRequest()) continue;
+      try {
+        for (let retry = 0; ; retry++) {
+          try {
+            const result = await attempt(name);
+            breaker.success();
+            return result;
+          } catch (error) {
+            if (signal?.aborted) throw error;
+            if (!(await this.shouldRetry(name, error, retry, signal))) {
+              breaker.failure(error);
+              errors.push({ provider: name, message: error.message });
+              break;
+            }
+          }
+        }
+      } finally {
+        breaker.release(); // after an abort; success/failure have already settled the trial
+      }
+    }
+    throw new AllProvidersFailedError(this.stage, errors);
+  }
+
+  /**
+   * Streaming variant of `run`: yields what `open(name)` yields. A provider is only retried or
+   * replaced while it hasn't produced anything yet; a failure mid-stream is thrown as is.
+   *
+   * @param {(name: string) => AsyncIterable<any>} open
+   */
+  async *stream(open, { signal, preferred } = {}) {
+    const errors = [];
+    for (const name of this.candidates(preferred)) {
+      const breaker = this.breaker(name);
+      if (!breaker.allowRequest()) continue;
+      try {
+        for (let retry = 0; ; retry++) {
+          let started = false;
+          try {
+            for await (const item of open(name)) {
+              started = true;
+              yield item;
+            }
+            breaker.success();
+            return;
+          } catch (error) {
+            if (signal?.aborted) throw error;
+            if (started) {
+              this.onError?.(name, error);
+              breaker.failure(error);
+              throw error;
+            }
+            if (!(await this.shouldRetry(name, error, retry, signal))) {
+              breaker.failure(error);
+              errors.push({ provider: name, message: error.message });
+              break;
+            }
+          }
+        }
+      } finally {
+        breaker.release(); // also when the consumer stops reading mid-stream
+      }
+    }
+    throw new AllProvidersFailedError(this.stage, errors);
+  }
+
+  async shouldRetry(name, error, retry, signal) {
+    this.onError?.(name, error);
+    if (retry >= this.retries || !isRetryable(error)) {
+      logger.error('⚠️ Provider failed', { provider: `${this.stage}/${name}`, error });
+      return false;
+    }
+    const delayMs = RETRY_BASE_DELAY_MS * 2 ** retry;
+    logger.warn('🔁 Provider failed, retrying', { provider: `${this.stage}/${name}`, error, retry: retry + 1, retries: this.retries, delayMs });
+    await sleep(delayMs, undefined, { signal });
+    return true;
+  }
+
+  /**
+   * Breaker state per provider, for /health.
+   */
+  status() {
+    return Object.fromEntries([...this.breakers].map(([name, breaker]) => [name, breaker.status()]));
+  }
+
+  /**
+   * 'ok' (all closed), 'degraded' (some provider open) or 'down' (every provider open).
+   */
+  health() {
+    const states = [...this.breakers.values()].map((b) => b.status().state);
+    if (states.every((s) => s === 'open')) return 'down';
+    return states.every((s) => s === 'closed') ? 'ok' : 'degraded';
+  }
+}
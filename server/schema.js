@@ -0,0 +1,58 @@
+/**
+ * Minimal JSON Schema validation — just the subset our tool and settings schemas use:
+ * `type` (object, array, string, number, integer, boolean), `properties`, `required`,
+ * `additionalProperties: false`, `items`, `enum`, `minimum`/`maximum`, `minLength`/`maxLength`
+ * and `pattern` (a RegExp or a regex string).
+ */
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * @returns {string[]} human-readable errors; empty when `value` is valid
+ */
+export function validate(schema, value, path = '') {
+  const at = path || 'value';
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${at} must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} must be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (properties[key]) errors.push(...validate(properties[key], item, keyPath));
+      else if (schema.additionalProperties === false) errors.push(`${keyPath} is not allowed`);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,202 @@
+/**
+ * Persistent conversation store — lets a reconnecting client resume its session.
+ *
+ * A session record looks like:
+ *   {
+ *     id, createdAt, updatedAt,
+ *     settings: { ... },                      // per-session pipeline settings
+ *     history: { summary, messages },         // ConversationHistory state sent to the LLM
+ *     turns: [{ at, transcript, response }]   // full log, never summarized
+ *   }
+ *
+ * Backends share one async interface: load(id), save(record), list(), remove(id).
+ * Select with SESSION_STORE=file (default) | sqlite | memory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Client-supplied ids end up in file names / SQL keys — keep them boring.
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+export function newSessionRecord(id) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    createdAt: now,
+    updatedAt: now,
+    settings: {},
+    history: { summary: '', messages: [] },
+    turns: []
+  };
+}
+
+/**
+ * Summary row for listings — avoids shipping every transcript in GET /sessions.
+ */
+export function summarizeRecord(record) {
+  const last = record.turns[record.turns.length - 1];
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    turns: record.turns.length,
+    lastTranscript: last?.transcript || null
+  };
+}
+
+function byUpdatedDesc(a, b) {
+  return (b.updatedAt || '').localeCompare(a.updatedAt || '');
+}
+
+export class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load(id) {
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async save(record) {
+    this.records.set(record.id, structuredClone(record));
+  }
+
+  async list() {
+    return [...this.records.values()].map(summarizeRecord).sort(byUpdatedDesc);
+  }
+
+  async remove(id) {
+    return this.records.delete(id);
+  }
+}
+
+/**
+ * One JSON file per session. Writes go through a temp file + rename so a crash
+ * mid-write never leaves a truncated session behind.
+ */
+export class FileSessionStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = fs.mkdir(dir, { recursive: true });
+  }
+
+  filePath(id) {
+    if (!isValidSessionId(id)) throw new Error(`Invalid session id: ${id}`);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async load(id) {
+    await this.ready;
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(record) {
+    await this.ready;
+    const target = this.filePath(record.id);
+    const tmp = `${target}.${randomUUID()}.tmp`; // overlapping saves of one session must not share it
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+    await fs.rename(tmp, target);
+  }
+
+  async list() {
+    await this.ready;
+    const files = (await fs.readdir(this.dir)).filter((f) => f.endsWith('.json'));
+    const records = [];
+    for (const file of files) {
+      try {
+        records.push(summarizeRecord(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'))));
+      } catch (_) {
+        // Skip unreadable/partial files
+      }
+    }
+    return records.sort(byUpdatedDesc);
+  }
+
+  async remove(id) {
+    await this.ready;
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+/**
+ * SQLite-backed store using Node's built-in `node:sqlite` (Node 22.5+).
+ * Records are stored as JSON blobs; only the listing columns are broken out.
+ */
+export class SqliteSessionStore {
+  constructor(db) {
+    this.db = db;
+    db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    )`);
+  }
+
+  static async open(file) {
+    let sqlite;
+    try {
+      sqlite = await import('node:sqlite');
+    } catch (_) {
+      throw new Error('SESSION_STORE=sqlite requires Node 22.5+ (node:sqlite)');
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    return new SqliteSessionStore(new sqlite.DatabaseSync(file));
+  }
+
+  async load(id) {
+    const row = this.db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async save(record) {
+    this.db.prepare(`INSERT INTO sessions (id, created_at, updated_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`)
+      .run(record.id, record.createdAt, record.updatedAt, JSON.stringify(record));
+  }
+
+  async list() {
+    return this.db.prepare('SELECT data FROM sessions ORDER BY updated_at DESC').all()
+      .map((row) => summarizeRecord(JSON.parse(row.data)));
+  }
+
+  async remove(id) {
+    return this.db.prepare('DELETE FROM sessions WHERE id = ?').run(id).changes > 0;
+  }
+}
+
+/**
+ * @param {'file'|'sqlite'|'memory'} type
+ * @param {object} options
+ * @param {string} options.dir - base directory for file/sqlite backends
+ */
+export async function createSessionStore(type, { dir }) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'sqlite':
+      return SqliteSessionStore.open(path.join(dir, 'sessions.db'));
+    case 'file':
+      return new FileSessionStore(path.join(dir, 'sessions'));
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Per-session settings — what a client may change with `hello.settings` or `session.update`.
+ *
+ * Settings are stored sparsely in the session record: only what the client set. Anything
+ * missing falls back to the server defaults, and sending `null` for a key resets it.
+ */
+
+import { validate } from './schema.js';
+
+export const LANGUAGES = ['nl', 'en', 'de', 'fr', 'es'];
+
+// `language: 'auto'` detects the spoken language per utterance
+export const AUTO_LANGUAGE = 'auto';
+
+// How an utterance is delimited: 'continuous' ends it on silence; the others only take audio
+// between the client's `listen_start` and `listen_stop` (a toggled or a held button), and
+// 'push-to-talk' also ignores pauses: only `listen_stop` ends the utterance.
+export const LISTEN_MODES = ['continuous', 'push-to-talk', 'hold-to-talk'];
+
+/**
+ * @param {object} options
+ * @param {string[]} options.ttsProviders - provider names that may be selected
+ * @param {string[]} options.outputModes
+ * @param {string[]} [options.models]     - allowed LLM models; any model name when empty
+ */
+export function sessionSettingsSchema({ ttsProviders, outputModes, models = [] }) {
+  const unit = { type: 'number', minimum: 0, maximum: 1 };
+  return {
+    type: 'object',
+    properties: {
+      language: { type: 'string', enum: [...LANGUAGES, AUTO_LANGUAGE] },
+      voice: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/ },
+      voice_settings: {
+        type: 'object',
+        properties: {
+          stability: unit,
+          similarity_boost: unit,
+          style: unit,
+          use_speaker_boost: { type: 'boolean' },
+          speed: { type: 'number', minimum: 0.7, maximum: 1.2 }
+        },
+        additionalProperties: false
+      },
+      model: models.length > 0
+        ? { type: 'string', enum: models }
+        : { type: 'string', pattern: /^[\w.:/-]{1,100}$/ },
+      persona: { type: 'string', minLength: 1, maxLength: 4000 },
+      ttsProvider: { type: 'string', enum: ttsProviders },
+      outputMode: { type: 'string', enum: outputModes },
+      listenMode: { type: 'string', enum: LISTEN_MODES },
+      speakerId: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/ }
+    },
+    additionalProperties: false
+  };
+}
+
+/**
+ * Validate a settings update. `null` values are resets and skip validation.
+ *
+ * @returns {{ errors: string[], update: object }}
+ */
+export function parseSettingsUpdate(schema, update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return { errors: ['settings must be an object'], update: {} };
+  }
+  const values = Object.fromEntries(Object.entries(update).filter(([, value]) => value !== null));
+  const resets = Object.keys(update).filter((key) => update[key] === null);
+  const errors = validate(schema, values, 'settings');
+  for (const key of resets) {
+    if (!schema.properties[key]) errors.push(`settings.${key} is not allowed`);
+  }
+  return { errors, update };
+}
+
+/**
+ * Apply a (validated) update to stored settings; returns a new object.
+ */
+export function mergeSettings(settings, update) {
+  const merged = { ...settings };
+  for (const [key, value] of Object.entries(update || {})) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+}
@@ -0,0 +1,121 @@
+/**
+ * Azure Speaker Recognition backend (text-independent verification).
+ * https://learn.microsoft.com/azure/ai-services/speech-service/speaker-recognition-overview
+ *
+ * Each enrolled user maps to one Azure verification profile; the profile id is kept in
+ * the voiceprint store. Audio is sent as 16 kHz mono 16-bit WAV.
+ */
+
+import { fetchWithTimeout } from '../http.js';
+import { pcmToWav } from '../audio.js';
+import { logger } from '../logger.js';
+
+const API_VERSION = '2021-09-05';
+
+export class AzureSpeakerVerifier {
+  /**
+   * @param {object} options
+   * @param {import('./voiceprints.js').VoiceprintStore} options.store
+   * @param {string} options.key
+   * @param {string} options.region
+   * @param {number} options.threshold - Azure score (0..1) needed to accept
+   * @param {string} [options.locale='nl-nl']
+   */
+  constructor({ store, key, region, threshold, locale = 'nl-nl' }) {
+    this.store = store;
+    this.key = key;
+    this.threshold = threshold;
+    this.locale = locale;
+    this.baseUrl = `https://${region}.api.cognitive.microsoft.com/speaker-recognition/verification/text-independent/profiles`;
+  }
+
+  get name() {
+    return 'azure';
+  }
+
+  async request(pathSuffix, { method = 'POST', body, contentType }) {
+    const response = await fetchWithTimeout(`${this.baseUrl}${pathSuffix}${pathSuffix.includes('?') ? '&' : '?'}api-version=${API_VERSION}`, {
+      method,
+      headers: {
+        'Ocp-Apim-Subscription-Key': this.key,
+        ...(contentType ? { 'Content-Type': contentType } : {})
+      },
+      body
+    }, 15000);
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Azure Speaker Recognition error: ${response.status} - ${error}`);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  async enroll(userId, pcm) {
+    const existing = await this.store.get(userId);
+    let profileId = existing?.backend === 'azure' ? existing.profileId : null;
+    if (!profileId) {
+      const profile = await this.request('', {
+        body: JSON.stringify({ locale: this.locale }),
+        contentType: 'application/json'
+      });
+      profileId = profile.profileId;
+    }
+
+    const result = await this.request(`/${profileId}/enrollments`, {
+      body: pcmToWav(pcm),
+      contentType: 'audio/wav; codecs=audio/pcm'
+    });
+
+    const voiceprint = await this.store.put(userId, {
+      backend: 'azure',
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      profileId,
+      enrollments: (existing?.enrollments || 0) + 1,
+      speechMs: Math.round((result.enrollmentsSpeechLengthInSec || 0) * 1000)
+    });
+
+    return {
+      userId,
+      enrollments: voiceprint.enrollments,
+      speechMs: voiceprint.speechMs,
+      ready: result.enrollmentStatus === 'Enrolled',
+      remainingMs: Math.round((result.remainingEnrollmentsSpeechLengthInSec || 0) * 1000)
+    };
+  }
+
+  async remove(userId) {
+    const existing = await this.store.get(userId);
+    if (existing?.backend === 'azure' && existing.profileId) {
+      await this.request(`/${existing.profileId}`, { method: 'DELETE' }).catch((error) => {
+        logger.warn('⚠️ Azure profile delete failed', { userId, error });
+      });
+    }
+    return this.store.remove(userId);
+  }
+
+  /**
+   * Verify against `userId`, or every enrolled user (households are small) and keep the best.
+   */
+  async verify(pcm, { userId } = {}) {
+    const users = await this.store.load();
+    const candidates = Object.entries(users)
+      .filter(([id, v]) => v.backend === 'azure' && v.profileId && (!userId || id === userId));
+    if (candidates.length === 0) return null;
+
+    const wav = pcmToWav(pcm);
+    let best = { userId: null, score: -1 };
+    for (const [id, v] of candidates) {
+      const result = await this.request(`/${v.profileId}:verify`, {
+        body: wav,
+        contentType: 'audio/wav; codecs=audio/pcm'
+      });
+      if (result.score > best.score) best = { userId: id, score: result.score };
+    }
+
+    return {
+      verified: best.score >= this.threshold,
+      userId: best.userId,
+      score: Math.round(best.score * 1000) / 1000
+    };
+  }
+}
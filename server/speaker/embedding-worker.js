@@ -0,0 +1,16 @@
+/**
+ * Worker thread that runs computeEmbedding off the main thread (see embedInWorker in
+ * embedding.js). Jobs are `{ id, pcm }` messages; each gets `{ id, result }` or
+ * `{ id, error }` back.
+ */
+
+import { parentPort } from 'worker_threads';
+import { computeEmbedding } from './embedding.js';
+
+parentPort.on('message', ({ id, pcm }) => {
+  try {
+    parentPort.postMessage({ id, result: computeEmbedding(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength)) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,173 @@
+/**
+ * Lightweight speaker embedding for the local verification backend.
+ *
+ * Not a neural d-vector — a log-mel spectral profile: the mean and standard deviation of
+ * 32 log mel-band energies over the voiced frames of an utterance, L2-normalized. It is
+ * cheap, dependency-free and good enough to tell household voices apart from each other
+ * and from Donna's own TTS voice, which is what the pipeline needs.
+ *
+ * The FFTs take tens of milliseconds per second of audio, so the verifier runs them in a
+ * worker thread (`embedInWorker`): on the main thread they would stall audio pacing, VAD and
+ * WebSocket I/O for every connection.
+ */
+
+import { Worker } from 'worker_threads';
+
+const SAMPLE_RATE = 16000;
+const FRAME = 400;  // 25ms
+const HOP = 160;    // 10ms
+const FFT_SIZE = 512;
+const MEL_BANDS = 32;
+const MIN_FRAME_RMS = 300; // skip silence frames
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1);
+}
+
+// Triangular mel filterbank over FFT bins, built once
+const melFilters = (() => {
+  const low = hzToMel(80);
+  const high = hzToMel(7600);
+  const points = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor((FFT_SIZE + 1) * melToHz(low + (high - low) * i / (MEL_BANDS + 1)) / SAMPLE_RATE));
+  return Array.from({ length: MEL_BANDS }, (_, m) => {
+    const [a, b, c] = [points[m], points[m + 1], points[m + 2]];
+    const weights = new Float64Array(FFT_SIZE / 2 + 1);
+    for (let k = a; k < b; k++) weights[k] = (k - a) / Math.max(1, b - a);
+    for (let k = b; k < c; k++) weights[k] = (c - k) / Math.max(1, c - b);
+    return weights;
+  });
+})();
+
+const hamming = Float64Array.from({ length: FRAME }, (_, i) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (FRAME - 1)));
+
+/**
+ * In-place iterative radix-2 FFT.
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = -2 * Math.PI / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const xr = re[i + k + len / 2] * wr - im[i + k + len / 2] * wi;
+        const xi = re[i + k + len / 2] * wi + im[i + k + len / 2] * wr;
+        re[i + k + len / 2] = re[i + k] - xr;
+        im[i + k + len / 2] = im[i + k] - xi;
+        re[i + k] += xr;
+        im[i + k] += xi;
+      }
+    }
+  }
+}
+
+/**
+ * @param {Buffer} pcm - PCM S16LE 16 kHz mono
+ * @returns {{ embedding: number[]|null, voicedMs: number }}
+ */
+export function computeEmbedding(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const frames = [];
+
+  for (let start = 0; start + FRAME <= samples; start += HOP) {
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    let energy = 0;
+    for (let i = 0; i < FRAME; i++) {
+      const s = pcm.readInt16LE((start + i) * 2);
+      energy += s * s;
+      re[i] = s * hamming[i];
+    }
+    if (Math.sqrt(energy / FRAME) < MIN_FRAME_RMS) continue;
+
+    fft(re, im);
+    const power = new Float64Array(FFT_SIZE / 2 + 1);
+    for (let k = 0; k <= FFT_SIZE / 2; k++) power[k] = re[k] * re[k] + im[k] * im[k];
+    frames.push(melFilters.map((w) => Math.log(1e-6 + w.reduce((sum, wk, k) => sum + wk * power[k], 0))));
+  }
+
+  const voicedMs = frames.length * HOP / SAMPLE_RATE * 1000;
+  if (frames.length < 10) return { embedding: null, voicedMs };
+
+  const mean = new Array(MEL_BANDS).fill(0);
+  const std = new Array(MEL_BANDS).fill(0);
+  for (const f of frames) f.forEach((v, i) => { mean[i] += v / frames.length; });
+  for (const f of frames) f.forEach((v, i) => { std[i] += (v - mean[i]) ** 2 / frames.length; });
+
+  // Remove overall loudness so mic gain doesn't dominate the profile
+  const level = mean.reduce((a, b) => a + b, 0) / MEL_BANDS;
+  const vector = mean.map((v) => v - level).concat(std.map(Math.sqrt));
+  return { embedding: normalize(vector), voicedMs };
+}
+
+// One shared worker, started on first use. It only keeps the process alive while it has work.
+let worker = null;
+let nextJobId = 0;
+
+function embeddingWorker() {
+  if (worker) return worker;
+  const thread = new Worker(new URL('./embedding-worker.js', import.meta.url));
+  const jobs = new Map();
+  thread.unref();
+  thread.on('message', ({ id, result, error }) => {
+    const job = jobs.get(id);
+    jobs.delete(id);
+    if (jobs.size === 0) thread.unref();
+    if (error) job?.reject(new Error(error));
+    else job?.resolve(result);
+  });
+  // A crashed worker fails its jobs; the next call starts a new one
+  const fail = (error) => {
+    if (worker?.thread === thread) worker = null;
+    for (const job of jobs.values()) job.reject(error);
+    jobs.clear();
+  };
+  thread.on('error', fail);
+  thread.on('exit', (code) => fail(new Error(`Embedding worker exited with code ${code}`)));
+  worker = { thread, jobs };
+  return worker;
+}
+
+/**
+ * computeEmbedding in the worker thread.
+ *
+ * @param {Buffer} pcm - PCM S16LE 16 kHz mono
+ * @returns {Promise<{ embedding: number[]|null, voicedMs: number }>}
+ */
+export function embedInWorker(pcm) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextJobId;
+    const { thread, jobs } = embeddingWorker();
+    jobs.set(id, { resolve, reject });
+    thread.ref();
+    // A copy of just these bytes, moved rather than cloned into the worker
+    const copy = new Uint8Array(pcm);
+    thread.postMessage({ id, pcm: copy }, [copy.buffer]);
+  });
+}
+
+export function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
@@ -0,0 +1,49 @@
+/**
+ * Speaker verification subsystem.
+ *
+ * Verifier interface (both backends):
+ *   - `await enroll(userId, pcm)` → { userId, enrollments, speechMs, ready, remainingMs? }
+ *   - `await verify(pcm, { userId? })` → { verified, userId, score } or null when nothing
+ *     is enrolled (or the audio holds too little speech) — callers then skip verification
+ *   - `await remove(userId)` → boolean
+ *
+ * Audio is always PCM S16LE 16 kHz mono, accumulated over a whole utterance.
+ * Select with SPEAKER_VERIFICATION=off|local|azure.
+ */
+
+import { VoiceprintStore } from './voiceprints.js';
+import { LocalSpeakerVerifier } from './local.js';
+import { AzureSpeakerVerifier } from './azure.js';
+
+export { isValidUserId } from './voiceprints.js';
+
+export const SPEAKER_BACKENDS = ['off', 'local', 'azure'];
+
+/**
+ * @param {string} backend - one of SPEAKER_BACKENDS
+ * @param {object} options
+ * @param {string} options.file          - voiceprint store path
+ * @param {number} options.threshold
+ * @param {object} [options.azure]       - { key, region, locale, profileId }
+ * @returns {Promise<object|null>} verifier, or null when disabled
+ */
+export async function createSpeakerVerifier(backend, { file, threshold, azure = {} }) {
+  if (backend === 'off') return null;
+
+  const store = new VoiceprintStore(file);
+  if (backend === 'local') return new LocalSpeakerVerifier({ store, threshold });
+  if (backend !== 'azure') throw new Error(`Unknown SPEAKER_VERIFICATION backend: ${backend}`);
+
+  // A profile created outside the server (AZURE_SPEAKER_PROFILE_ID) is enrolled as user "default"
+  if (azure.profileId && !(await store.get('default'))) {
+    await store.put('default', {
+      backend: 'azure',
+      createdAt: new Date().toISOString(),
+      profileId: azure.profileId,
+      enrollments: 0,
+      speechMs: 0
+    });
+  }
+
+  return new AzureSpeakerVerifier({ store, threshold, ...azure });
+}
@@ -0,0 +1,81 @@
+/**
+ * Local, embedding-based speaker verification (no network).
+ * Voiceprints are running averages of utterance embeddings (see embedding.js), computed in
+ * a worker thread.
+ */
+
+import { embedInWorker, cosineSimilarity, normalize } from './embedding.js';
+
+export class LocalSpeakerVerifier {
+  /**
+   * @param {object} options
+   * @param {import('./voiceprints.js').VoiceprintStore} options.store
+   * @param {number} options.threshold  - cosine similarity needed to accept (0..1)
+   */
+  constructor({ store, threshold }) {
+    this.store = store;
+    this.threshold = threshold;
+    this.minEnrollMs = 3000;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async enroll(userId, pcm) {
+    const { embedding, voicedMs } = await embedInWorker(pcm);
+    if (!embedding) throw Object.assign(new Error('Not enough speech in enrollment audio'), { statusCode: 400 });
+
+    const existing = await this.store.get(userId);
+    const previous = existing?.backend === 'local' ? existing : null;
+    const weight = previous?.speechMs || 0;
+    const merged = previous
+      ? normalize(previous.embedding.map((v, i) => (v * weight + embedding[i] * voicedMs) / (weight + voicedMs)))
+      : embedding;
+
+    const voiceprint = await this.store.put(userId, {
+      backend: 'local',
+      createdAt: previous?.createdAt || new Date().toISOString(),
+      enrollments: (previous?.enrollments || 0) + 1,
+      speechMs: weight + voicedMs,
+      embedding: merged
+    });
+
+    return {
+      userId,
+      enrollments: voiceprint.enrollments,
+      speechMs: Math.round(voiceprint.speechMs),
+      ready: voiceprint.speechMs >= this.minEnrollMs
+    };
+  }
+
+  async remove(userId) {
+    return this.store.remove(userId);
+  }
+
+  /**
+   * Verify against `userId`, or identify the best match among all enrolled users.
+   * Returns null when there is nothing to compare against or too little speech.
+   */
+  async verify(pcm, { userId } = {}) {
+    const users = await this.store.load();
+    const candidates = Object.entries(users)
+      .filter(([id, v]) => v.backend === 'local' && (!userId || id === userId));
+    if (candidates.length === 0) return null;
+
+    const { embedding } = await embedInWorker(pcm);
+    if (!embedding) return null;
+
+    let best = { userId: null, score: -1 };
+    for (const [id, v] of candidates) {
+      const score = cosineSimilarity(embedding, v.embedding);
+      if (score > best.score) best = { userId: id, score };
+    }
+
+    return {
+      verified: best.score >= this.threshold,
+      userId: best.userId,
+      score: Math.round(best.score * 1000) / 1000
+    };
+  }
+}
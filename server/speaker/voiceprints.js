@@ -0,0 +1,80 @@
+/**
+ * Voiceprint store — one JSON file with every enrolled user.
+ *
+ *   { users: { <userId>: { backend, createdAt, updatedAt, enrollments, speechMs, embedding?, profileId? } } }
+ *
+ * `embedding` is used by the local backend, `profileId` by the Azure backend.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../logger.js';
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidUserId(id) {
+  return typeof id === 'string' && USER_ID_PATTERN.test(id);
+}
+
+export class VoiceprintStore {
+  constructor(file) {
+    this.file = file;
+    this.users = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.users) return this.users;
+    try {
+      this.users = JSON.parse(await fs.readFile(this.file, 'utf8')).users || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.users = {};
+    }
+    return this.users;
+  }
+
+  async get(userId) {
+    return (await this.load())[userId] || null;
+  }
+
+  async list() {
+    const users = await this.load();
+    return Object.entries(users).map(([userId, v]) => ({
+      userId,
+      backend: v.backend,
+      enrollments: v.enrollments,
+      speechMs: v.speechMs,
+      createdAt: v.createdAt,
+      updatedAt: v.updatedAt
+    }));
+  }
+
+  async put(userId, voiceprint) {
+    const users = await this.load();
+    users[userId] = { ...voiceprint, updatedAt: new Date().toISOString() };
+    await this.persist();
+    return users[userId];
+  }
+
+  async remove(userId) {
+    const users = await this.load();
+    if (!users[userId]) return false;
+    delete users[userId];
+    await this.persist();
+    return true;
+  }
+
+  // Writes run one after another; a failed one rejects for its caller but not for later ones
+  persist() {
+    const snapshot = JSON.stringify({ users: this.users }, null, 2);
+    const write = this.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, this.file);
+    });
+    this.writeChain = write.catch((error) => logger.error('⚠️ Voiceprints not saved', { file: this.file, error }));
+    return write;
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Real-time Speech-to-Text using Deepgram Nova-3
+ */
+
+import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+import { STTSession } from './session.js';
+
+// How long finalize() waits for Deepgram to answer a Finalize before delivering what it has
+const FINALIZE_TIMEOUT_MS = 1500;
+
+export class DeepgramSTTSession extends STTSession {
+  static info = { provider: 'Deepgram', model: 'Nova-3', realtime: true };
+
+  /**
+   * @param {object} options - see STTSession, plus:
+   * @param {string} options.apiKey
+   * @param {string} [options.url]            - another Deepgram-compatible endpoint (ws://…)
+   * @param {string} [options.language='nl'] - or 'auto' for Nova-3 multilingual (code-switching)
+   */
+  constructor(options) {
+    super(options); // onUtteranceEnd is called after utterance_end_ms of silence
+    this.apiKey = options.apiKey;
+    this.url = options.url;
+    this.language = options.language || 'nl';
+    this.deepgram = null;
+    this.connection = null;
+    this.wordLanguages = {}; // word count per detected language, for the current utterance
+    this.onFinalized = null; // pending finalize(), resolved by the Finalize response
+  }
+
+  // Language most words of the utterance were in (multilingual mode only)
+  dominantLanguage() {
+    const [best] = Object.entries(this.wordLanguages).sort((a, b) => b[1] - a[1]);
+    return best ? best[0].split('-')[0] : undefined;
+  }
+
+  async start() {
+    try {
+      this.deepgram = createClient(this.apiKey, this.url ? { global: { websocket: { options: { url: this.url } } } } : undefined);
+
+      this.connection = this.deepgram.listen.live({
+        model: 'nova-3',
+        language: this.language === 'auto' ? 'multi' : this.language,
+        smart_format: true,
+        interim_results: true,
+        utterance_end_ms: 1000,
+        endpointing: 300,
+        vad_events: true,
+        encoding: 'linear16',
+        sample_rate: 16000,
+        channels: 1
+      });
+
+      // Handle transcript events — accumulate finals, don't process yet
+      this.connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+        const transcript = data.channel?.alternatives?.[0]?.transcript;
+        if (transcript && transcript.trim()) {
+          const isFinal = data.is_final;
+          this.log.debug(`🎙️ Deepgram ${isFinal ? 'final' : 'interim'}`, { transcript });
+
+          if (isFinal) {
+            this.transcript += (this.transcript ? ' ' : '') + transcript;
+            // Multilingual results tag every word with its language
+            for (const word of data.channel.alternatives[0].words || []) {
+              if (word.language) this.wordLanguages[word.language] = (this.wordLanguages[word.language] || 0) + 1;
+            }
+          }
+          // Finals so far plus the current interim guess
+          this.onPartial(isFinal ? this.transcript : `${this.transcript ? `${this.transcript} ` : ''}${transcript}`);
+        }
+        // The (possibly empty) result flushed by a Finalize is the last one of the utterance
+        if (data.from_finalize) this.onFinalized?.();
+      });
+
+      // UtteranceEnd fires after utterance_end_ms of silence — THIS is when the user is done,
+      // unless only finalize() may end the utterance (push-to-talk)
+      this.connection.on(LiveTranscriptionEvents.UtteranceEnd, () => {
+        if (this.endOnSilence) this.endUtterance('🎙️ UtteranceEnd');
+      });
+
+      // Handle errors
+      this.connection.on(LiveTranscriptionEvents.Error, (error) => {
+        this.log.error('🎙️ Deepgram error', { error: error.message || String(error) });
+        this.onError(error.message || 'Deepgram error');
+      });
+
+      // Handle connection close
+      this.connection.on(LiveTranscriptionEvents.Close, () => {
+        this.log.info('🎙️ Deepgram connection closed');
+        this.isActive = false;
+        this.onFinalized?.(); // no answer is coming
+      });
+
+      // Wait for connection to open
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Connection timeout')), 10000);
+
+        this.connection.on(LiveTranscriptionEvents.Open, () => {
+          clearTimeout(timeout);
+          this.log.info('🎙️ Deepgram connection opened');
+          this.isActive = true;
+          resolve();
+        });
+
+        this.connection.on(LiveTranscriptionEvents.Error, (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        });
+      });
+
+      return true;
+    } catch (error) {
+      this.log.error('🎙️ Failed to start Deepgram', { error: error.message || String(error) });
+      this.onError(error.message);
+      return false;
+    }
+  }
+
+  pushAudio(audioBuffer) {
+    if (this.connection && this.isActive) {
+      try {
+        // Deepgram Node SDK expects an ArrayBuffer (not a Node Buffer)
+        const ab = audioBuffer.buffer.slice(
+          audioBuffer.byteOffset,
+          audioBuffer.byteOffset + audioBuffer.byteLength
+        );
+        this.connection.send(ab);
+      } catch (error) {
+        this.log.error('🎙️ Failed to send audio', { error });
+      }
+    }
+  }
+
+  endUtterance(reason) {
+    if (!this.transcript.trim()) return;
+    this.log.info(reason, { transcript: this.transcript });
+    const fullTranscript = this.transcript;
+    const language = this.dominantLanguage();
+    this.transcript = '';
+    this.wordLanguages = {};
+    this.onUtteranceEnd(fullTranscript, { language });
+  }
+
+  // Ask Deepgram to transcribe the audio it still buffers, then end the utterance
+  async finalize() {
+    if (this.connection && this.isActive) {
+      await new Promise((resolve) => {
+        const timeout = setTimeout(resolve, FINALIZE_TIMEOUT_MS);
+        this.onFinalized = () => {
+          clearTimeout(timeout);
+          resolve();
+        };
+        try {
+          this.connection.finalize();
+        } catch (error) {
+          this.log.error('🎙️ Failed to finalize', { error });
+          this.onFinalized();
+        }
+      });
+      this.onFinalized = null;
+    }
+    this.endUtterance('🎙️ Finalized');
+  }
+
+  async stop() {
+    if (this.connection) {
+      try {
+        this.connection.finish();
+      } catch (error) {
+        this.log.error('🎙️ Error finishing connection', { error });
+      }
+    }
+
+    this.isActive = false;
+    const finalTranscript = this.transcript;
+    this.transcript = '';
+
+    this.log.info('🎙️ STT stopped', { transcript: finalTranscript });
+    return finalTranscript;
+  }
+
+  cleanup() {
+    this.stop();
+    this.deepgram = null;
+    this.connection = null;
+  }
+}
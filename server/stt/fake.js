@@ -0,0 +1,67 @@
+/**
+ * Deterministic fake Speech-to-Text for tests and offline pipeline runs.
+ *
+ * Ignores the audio content entirely: every `utteranceMs` of pushed audio completes one
+ * utterance and emits the next line of the script (cycling); halfway through, the first half
+ * of its words is reported as a partial. With `endOnSilence: false` only `finalize()`
+ * completes it, after any amount of audio. No network, no timers.
+ *
+ *   STT_FAKE_SCRIPT="Hoi Donna|Hoe laat is het?"
+ *
+ * A line may start with a language tag ("en: What time is it?"), reported as the detected
+ * language — handy for testing the multilingual mode.
+ */
+
+import { STTSession } from './session.js';
+
+const BYTES_PER_MS = 16000 * 2 / 1000;
+
+export class FakeSTTSession extends STTSession {
+  static info = { provider: 'Fake', model: 'scripted', realtime: true };
+
+  /**
+   * @param {object} options - see STTSession, plus:
+   * @param {string[]} [options.script]        - transcripts to emit, in order
+   * @param {number}   [options.utteranceMs=1000] - audio needed per utterance
+   */
+  constructor(options) {
+    super(options);
+    this.script = options.script?.length ? options.script : ['Hallo Donna'];
+    this.utteranceBytes = (options.utteranceMs ?? 1000) * BYTES_PER_MS;
+    this.received = 0;
+    // `state` outlives this session, so the next STT session of the connection continues the script
+    this.cursor = options.state || {};
+    this.cursor.next ??= 0;
+  }
+
+  pushAudio(audioBuffer) {
+    if (!this.isActive) return;
+
+    const before = this.received;
+    this.received += audioBuffer.length;
+    const half = this.utteranceBytes / 2;
+    if (before < half && this.received >= half) {
+      const words = this.line().transcript.split(/\s+/);
+      this.onPartial(words.slice(0, Math.ceil(words.length / 2)).join(' '));
+    }
+    if (this.received >= this.utteranceBytes && this.endOnSilence) this.complete();
+  }
+
+  async finalize() {
+    if (this.isActive && this.received > 0) this.complete();
+  }
+
+  // The script line of the current utterance
+  line() {
+    const [, language, transcript] = /^(?:([a-z]{2}):\s*)?(.*)$/s.exec(this.script[this.cursor.next % this.script.length]);
+    return { language, transcript };
+  }
+
+  complete() {
+    const { language, transcript } = this.line();
+    this.received = 0;
+    this.cursor.next++;
+    this.log.info('🎙️ Fake UtteranceEnd', { transcript });
+    this.onUtteranceEnd(transcript, { language });
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Speech-to-Text provider registry.
+ *
+ * Every provider implements the STTSession contract (see session.js), so the pipeline
+ * only ever talks to `createSTTSession(...)`. Select with STT_PROVIDER=deepgram|local|fake.
+ */
+
+import { DeepgramSTTSession } from './deepgram.js';
+import { LocalSTTSession } from './local.js';
+import { FakeSTTSession } from './fake.js';
+
+const PROVIDERS = {
+  deepgram: DeepgramSTTSession,
+  local: LocalSTTSession,
+  fake: FakeSTTSession
+};
+
+export const STT_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * @param {string} provider - key of PROVIDERS
+ * @param {object} options  - STTSession options merged with provider-specific settings
+ */
+export function createSTTSession(provider, options) {
+  const Session = PROVIDERS[provider];
+  if (!Session) throw new Error(`Unknown STT provider: ${provider}`);
+  return new Session(options);
+}
+
+/**
+ * Static description of a provider, as announced in the `config` message.
+ */
+export function sttProviderInfo(provider) {
+  return PROVIDERS[provider]?.info || { provider };
+}
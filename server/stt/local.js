@@ -0,0 +1,275 @@
+/**
+ * Offline Speech-to-Text via a local engine run as a child process (whisper.cpp by default).
+ *
+ * Local engines are batch-only, so this session does its own endpointing: audio is split
+ * into utterances with a simple energy detector, and after `silenceMs` of silence the
+ * utterance is written to a temp WAV file and handed to the engine. Anything the engine
+ * prints on stdout is the transcript.
+ *
+ * The command line is a template so other engines (e.g. a Vosk script) can be plugged in:
+ *   LOCAL_STT_COMMAND=whisper-cli
+ *   LOCAL_STT_ARGS="-m {model} -l {language} -nt -np -f {file}"
+ * It is split like a shell would (quotes and backslashes, no expansion) before the
+ * placeholders are filled in, so a path with spaces can be quoted: -m '/models/my model.bin'.
+ */
+
+import { spawn } from 'child_process';
+import { constants } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { STTSession } from './session.js';
+import { rmsS16, pcmToWav } from '../audio.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME_BYTES = SAMPLE_RATE / 50 * 2; // 20ms frames
+const DEFAULT_ARGS = '-m {model} -l {language} -nt -np -f {file}';
+
+/**
+ * Split an argument template into words: whitespace separates them, except inside '…' (taken
+ * literally) or "…" (where a backslash escapes " and itself), and a backslash outside quotes
+ * escapes the next character.
+ */
+export function splitArgs(template) {
+  const args = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i];
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else if (char === '\\' && (template[i + 1] === '"' || template[i + 1] === '\\')) word += template[++i];
+      else word += char;
+    } else if (/\s/.test(char)) {
+      if (word !== null) args.push(word);
+      word = null;
+    } else {
+      word ??= '';
+      if (char === "'" || char === '"') quote = char;
+      else if (char === '\\' && i + 1 < template.length) word += template[++i];
+      else word += char;
+    }
+  }
+  if (quote) throw new Error(`Unterminated ${quote} in LOCAL_STT_ARGS`);
+  if (word !== null) args.push(word);
+  return args;
+}
+
+/**
+ * Full path of `command` if it is an executable file, looked up on PATH unless it is a path
+ * itself; null otherwise.
+ */
+async function resolveCommand(command) {
+  const candidates = command.includes(path.sep)
+    ? [command]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map((dir) => path.join(dir, command));
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate, constants.X_OK);
+      if ((await fs.stat(candidate)).isFile()) return candidate;
+    } catch {
+      // Not here — try the next PATH entry
+    }
+  }
+  return null;
+}
+
+export class LocalSTTSession extends STTSession {
+  static info = { provider: 'Local', model: 'whisper.cpp', realtime: false };
+
+  /**
+   * @param {object} options - see STTSession, plus:
+   * @param {string} [options.command='whisper-cli']
+   * @param {string} [options.args]        - argument template ({model}, {language}, {file})
+   * @param {string} [options.model]       - model path passed as {model}
+   * @param {string} [options.language='nl'] - 'auto' lets the engine detect it (whisper.cpp: -l auto)
+   * @param {number} [options.speechRms=500]  - RMS level above which a frame counts as speech
+   * @param {number} [options.silenceMs=1000] - trailing silence that ends an utterance (unless endOnSilence is false)
+   * @param {number} [options.timeoutMs=30000]
+   */
+  constructor(options) {
+    super(options);
+    this.command = options.command || 'whisper-cli';
+    this.args = options.args || DEFAULT_ARGS;
+    this.model = options.model || '';
+    this.language = options.language || 'nl';
+    this.speechRms = options.speechRms ?? 500;
+    this.silenceMs = options.silenceMs ?? 1000;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.maxUtteranceMs = 30000;
+    this.preRollFrames = 15; // keep ~300ms before speech onset
+
+    this.pending = Buffer.alloc(0);
+    this.frames = [];
+    this.speechMs = 0;
+    this.silenceRunMs = 0;
+    this.inSpeech = false;
+    this.children = new Set();
+  }
+
+  /**
+   * Checks that the engine and its model are there, so a missing or misconfigured binary
+   * fails here (and the provider chain moves on) instead of at the end of every utterance.
+   */
+  async start() {
+    const command = await resolveCommand(this.command);
+    if (!command) {
+      this.log.error('🎙️ Local STT command not found or not executable', { command: this.command });
+      return false;
+    }
+    try {
+      splitArgs(this.args);
+    } catch (error) {
+      this.log.error('🎙️ Invalid LOCAL_STT_ARGS', { args: this.args, error: error.message });
+      return false;
+    }
+    if (this.model && this.args.includes('{model}')) {
+      try {
+        await fs.access(this.model, constants.R_OK);
+      } catch (error) {
+        this.log.error('🎙️ Local STT model not readable', { model: this.model, error: error.message });
+        return false;
+      }
+    }
+    this.isActive = true;
+    this.log.info('🎙️ Local STT ready', { command });
+    return true;
+  }
+
+  pushAudio(audioBuffer) {
+    if (!this.isActive) return;
+
+    this.pending = Buffer.concat([this.pending, audioBuffer]);
+    while (this.pending.length >= FRAME_BYTES) {
+      const frame = this.pending.subarray(0, FRAME_BYTES);
+      this.pending = this.pending.subarray(FRAME_BYTES);
+      this.processFrame(Buffer.from(frame));
+    }
+  }
+
+  processFrame(frame) {
+    const isSpeech = rmsS16(frame) >= this.speechRms;
+    this.frames.push(frame);
+
+    if (!this.inSpeech) {
+      if (isSpeech) {
+        this.inSpeech = true;
+        this.speechMs = 20;
+        this.silenceRunMs = 0;
+      } else if (this.frames.length > this.preRollFrames) {
+        this.frames.shift();
+      }
+      return;
+    }
+
+    this.speechMs += 20;
+    this.silenceRunMs = isSpeech ? 0 : this.silenceRunMs + 20;
+
+    if ((this.endOnSilence && this.silenceRunMs >= this.silenceMs) || this.speechMs >= this.maxUtteranceMs) {
+      this.endUtterance();
+    }
+  }
+
+  // Transcribe the utterance collected so far and deliver it
+  endUtterance() {
+    const utterance = Buffer.concat(this.frames);
+    this.frames = [];
+    this.inSpeech = false;
+    return this.transcribe(utterance)
+      .then(({ text, language }) => {
+        if (text && this.isActive) {
+          this.log.info('🎙️ UtteranceEnd', { transcript: text, language });
+          this.onUtteranceEnd(text, { language });
+        }
+      })
+      .catch((error) => {
+        this.log.error('🎙️ Local STT error', { error });
+        this.onError(error.message);
+      });
+  }
+
+  async finalize() {
+    if (this.isActive && this.inSpeech) await this.endUtterance();
+  }
+
+  async transcribe(pcm) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'donna-stt-'));
+    const file = path.join(dir, 'utterance.wav');
+    try {
+      await fs.writeFile(file, pcmToWav(pcm, SAMPLE_RATE));
+      const args = splitArgs(this.args).map((arg) => arg
+        .replace('{model}', this.model)
+        .replace('{language}', this.language)
+        .replace('{file}', file));
+      // whisper.cpp keeps quiet about the detected language under -np, but -oj writes it
+      // to <file>.json ("result": {"language": "en"})
+      if (this.language === 'auto' && !args.includes('-oj')) args.push('-oj');
+      const { stdout, stderr } = await this.run(args);
+      // whisper.cpp may still print [00:00.000 --> ...] prefixes depending on flags
+      const text = stdout
+        .split('\n')
+        .map((line) => line.replace(/^\[[^\]]*\]\s*/, '').trim())
+        .filter(Boolean)
+        .join(' ');
+      const language = this.language === 'auto' ? await this.detectedLanguage(file, stderr) : undefined;
+      return { text, language };
+    } finally {
+      fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async detectedLanguage(file, stderr) {
+    try {
+      const output = JSON.parse(await fs.readFile(`${file}.json`, 'utf8'));
+      if (output.result?.language) return output.result.language;
+    } catch {
+      // Not whisper.cpp (or no JSON output) — fall back to its log line
+    }
+    // e.g. "whisper_full_with_state: auto-detected language: en (p = 0.97)"
+    return /auto-detected language:\s*([a-z]{2,3})/.exec(stderr)?.[1];
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      this.children.add(child);
+      let stdout = '';
+      let stderr = '';
+      const timeout = setTimeout(() => child.kill('SIGKILL'), this.timeoutMs);
+
+      child.stdout.on('data', (d) => { stdout += d; });
+      child.stderr.on('data', (d) => { stderr += d; });
+      child.on('error', (error) => {
+        clearTimeout(timeout);
+        this.children.delete(child);
+        reject(new Error(`${this.command}: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timeout);
+        this.children.delete(child);
+        if (code === 0) resolve({ stdout, stderr });
+        else reject(new Error(`${this.command} exited with ${code}: ${stderr.trim().slice(-200)}`));
+      });
+    });
+  }
+
+  async stop() {
+    this.isActive = false;
+    this.frames = [];
+    this.pending = Buffer.alloc(0);
+    this.inSpeech = false;
+    this.log.info('🎙️ Local STT stopped');
+    return '';
+  }
+
+  cleanup() {
+    this.stop();
+    for (const child of this.children) {
+      try { child.kill('SIGKILL'); } catch (_) {}
+    }
+    this.children.clear();
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Base class for speech-to-text sessions.
+ *
+ * Contract shared by every provider:
+ *   - `await start()`    → true once the session accepts audio, false on failure (onError is called)
+ *   - `pushAudio(buf)`   → feed PCM S16LE 16 kHz mono
+ *   - `onUtteranceEnd(transcript, { language })` fires once the user is done speaking; with
+ *     `language: 'auto'` providers that can detect the language report it (ISO 639-1)
+ *   - `onPartial(text)` (optional) reports the utterance so far while the user is still talking
+ *   - `endOnSilence: false` → pauses never end an utterance; only `finalize()` does (push-to-talk)
+ *   - `await finalize()` → flush what the provider still holds and deliver the utterance so far
+ *     through `onUtteranceEnd` right away (nothing when nothing was said)
+ *   - `await stop()`     → flush and return whatever transcript was not yet delivered
+ *   - `cleanup()`        → stop and release resources; the session is not reused
+ *   - `isActive`         → true while audio is accepted
+ */
+import { logger } from '../logger.js';
+
+export class STTSession {
+  /**
+   * @param {object} options
+   * @param {number} options.connectionId
+   * @param {(transcript: string, meta: { language?: string }) => void} options.onUtteranceEnd
+   * @param {(text: string) => void} [options.onPartial] - interim transcripts (live captions)
+   * @param {(message: string) => void} options.onError
+   * @param {object} [options.state] - per-connection scratch object that outlives single sessions
+   * @param {import('../logger.js').Logger} [options.log] - the connection's logger
+   * @param {boolean} [options.endOnSilence=true] - false: only `finalize()` ends an utterance
+   */
+  constructor({ connectionId, onUtteranceEnd, onPartial, onError, log, endOnSilence = true }) {
+    this.connectionId = connectionId;
+    this.log = log || logger.child({ connectionId });
+    this.onUtteranceEnd = onUtteranceEnd;
+    this.onPartial = onPartial || (() => {});
+    this.onError = onError;
+    this.endOnSilence = endOnSilence;
+    this.isActive = false;
+    this.transcript = '';
+  }
+
+  async start() {
+    this.isActive = true;
+    return true;
+  }
+
+  pushAudio(_audioBuffer) {}
+
+  async finalize() {
+    const transcript = this.transcript.trim();
+    this.transcript = '';
+    if (transcript) this.onUtteranceEnd(transcript, {});
+  }
+
+  async stop() {
+    this.isActive = false;
+    const finalTranscript = this.transcript;
+    this.transcript = '';
+    return finalTranscript;
+  }
+
+  cleanup() {
+    this.stop();
+  }
+}
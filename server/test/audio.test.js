@@ -0,0 +1,48 @@
+/**
+ * Unit tests for the PCM helpers in audio.js.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResampler, rmsS16 } from '../audio.js';
+
+// PCM S16LE mono sine of `hz` at `sampleRate`
+function tone(hz, sampleRate, ms, amplitude = 10000) {
+  const samples = Math.round(sampleRate * ms / 1000);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * hz * i / sampleRate) * amplitude), i * 2);
+  return pcm;
+}
+
+// Level after the first 20ms (filter warm-up)
+const settledRms = (pcm, sampleRate) => rmsS16(pcm.subarray(Math.round(sampleRate * 0.02) * 2));
+
+describe('createResampler', () => {
+  it('removes content above the new Nyquist frequency instead of folding it back', () => {
+    // 12kHz at 48kHz would alias to 4kHz at 16kHz without an anti-alias filter
+    const input = tone(12000, 48000, 500);
+    const output = createResampler(48000, 16000)(input);
+    assert.ok(settledRms(output, 16000) < rmsS16(input) * 0.01, `aliased level ${settledRms(output, 16000)}`);
+  });
+
+  it('keeps speech-band content when downsampling', () => {
+    const input = tone(1000, 48000, 500);
+    const ratio = settledRms(createResampler(48000, 16000)(input), 16000) / rmsS16(input);
+    assert.ok(ratio > 0.97 && ratio < 1.03, `1kHz gain ${ratio}`);
+  });
+
+  it('gives the same output for chunked and whole input', () => {
+    const input = tone(3000, 44100, 300);
+    const whole = createResampler(44100, 16000)(input);
+    const chunked = createResampler(44100, 16000);
+    const parts = [];
+    // Odd chunk sizes, so a sample is split across two chunks too
+    for (let offset = 0; offset < input.length; offset += 777) parts.push(chunked(input.subarray(offset, offset + 777)));
+    assert.deepEqual(Buffer.concat(parts), whole);
+  });
+
+  it('upsamples to the expected length', () => {
+    const output = createResampler(16000, 48000)(tone(440, 16000, 100));
+    assert.ok(Math.abs(output.length / 2 - 4800) <= 3, `${output.length / 2} samples`);
+  });
+});
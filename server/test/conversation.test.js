@@ -0,0 +1,87 @@
+/**
+ * Unit tests for conversation.js: compacting the history to its turn and token budget.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationHistory } from '../conversation.js';
+import { buildSummaryRequest } from '../prompts.js';
+
+const history = (turns, options) => {
+  const conversation = new ConversationHistory(options);
+  for (const [user, assistant] of turns) {
+    conversation.addUser(user);
+    conversation.addAssistant(assistant);
+  }
+  return conversation;
+};
+
+describe('ConversationHistory.compact', () => {
+  it('summarizes the turns before the verbatim tail', async () => {
+    const summarized = [];
+    const conversation = history([['een', 'a'], ['twee', 'b'], ['drie', 'c']], {
+      maxTurns: 2,
+      keepTurns: 1,
+      summarize: async (previous, messages) => {
+        summarized.push(...messages.map((m) => m.content));
+        return 'samenvatting';
+      }
+    });
+    await conversation.compact();
+    assert.deepEqual(summarized, ['een', 'a', 'twee', 'b']);
+    assert.equal(conversation.summary, 'samenvatting');
+    assert.deepEqual(conversation.messages.map((m) => m.content), ['drie', 'c']);
+  });
+
+  it('shortens the oldest kept turns when only the tail is over the token budget', async () => {
+    const long = 'x'.repeat(2000);
+    const conversation = history([[long, long]], { maxTokens: 300, keepTurns: 4, summarize: async () => 'unused' });
+    conversation.addUser('En nu?');
+    assert.ok(conversation.isOverBudget());
+
+    await conversation.compact();
+    assert.ok(conversation.tokenCount() <= 300, `${conversation.tokenCount()} tokens`);
+    assert.equal(conversation.summary, '');
+    assert.equal(conversation.messages.length, 3);
+    assert.equal(conversation.messages[0].content, '…');
+    assert.match(conversation.messages[1].content, /^x+…$/);
+    assert.equal(conversation.messages[2].content, 'En nu?', 'the latest message stays whole');
+  });
+
+  it('keeps the budget after summarizing when the tail is still too long', async () => {
+    const conversation = history([['kort', 'kort'], ['x'.repeat(4000), 'y'.repeat(100)]], {
+      maxTurns: 1,
+      maxTokens: 200,
+      keepTurns: 1,
+      summarize: async () => 'samenvatting'
+    });
+    await conversation.compact();
+    assert.ok(conversation.tokenCount() <= 200, `${conversation.tokenCount()} tokens`);
+    assert.equal(conversation.messages[1].content, 'y'.repeat(100));
+  });
+
+  it('summarizes and introduces the summary in the session language', async () => {
+    const requests = [];
+    const conversation = history([['What is on my list?', 'Milk and bread.'], ['And tomorrow?', 'The dentist.']], {
+      maxTurns: 1,
+      keepTurns: 1,
+      summarize: async (previous, messages, language) => {
+        requests.push(buildSummaryRequest(previous, messages, language));
+        return 'The user asked about their list.';
+      }
+    });
+    await conversation.compact('en');
+
+    const [[system, user]] = requests;
+    assert.match(system.content, /^Summarize this conversation/);
+    assert.match(user.content, /^User: What is on my list\?\nDonna: Milk and bread\.$/);
+    const [, header] = conversation.buildMessages('You are Donna.', 'en');
+    assert.equal(header.content, 'Summary of the earlier conversation: The user asked about their list.');
+    assert.match(conversation.buildMessages('Je bent Donna.', 'nl')[1].content, /^Samenvatting van het eerdere gesprek:/);
+  });
+
+  it('asks for a summary in languages without their own prompt texts', () => {
+    const [system] = buildSummaryRequest('', [{ role: 'user', content: 'Hallo' }], 'de');
+    assert.match(system.content, /Write it in German\.$/);
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * End-to-end tests: the real server against the provider stand-ins in test/mocks.
+ *
+ *   npm test
+ *
+ * One server runs for the whole file; each test opens its own connection and resets the mocks.
+ * The mock STT endpoints on audio time, so a test can send a second of "speech" instantly.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { TokenStore } from '../auth.js';
+import { startMocks, mockEnv, stopMocks } from './mocks/index.js';
+import { startServer, TestClient, speech, silence, eventually } from './harness.js';
+
+const PLAYBACK_TIMEOUT_MS = 1500;
+const DEFAULT_REPLY = 'Hallo daar. Dit is een test.';
+
+describe('voice pipeline (e2e)', () => {
+  let mocks;
+  let server;
+  let token;
+
+  before(async () => {
+    mocks = await startMocks();
+    server = await startServer({
+      ...mockEnv(mocks),
+      PLAYBACK_TIMEOUT_MS: String(PLAYBACK_TIMEOUT_MS),
+      PROVIDER_RETRIES: '0',
+      BREAKER_THRESHOLD: '1000' // failures in one test must not open a circuit for the next
+    });
+    // The running server picks up new tokens from its token file
+    token = new TokenStore(path.join(server.dataDir, 'tokens.json')).issue('e2e').token;
+  });
+
+  after(async () => {
+    await server?.stop();
+    if (mocks) await stopMocks(mocks);
+  });
+
+  beforeEach(() => {
+    Object.assign(mocks.deepgram, { script: [], rejectWith: null });
+    Object.assign(mocks.llm, { reply: DEFAULT_REPLY, tokenDelayMs: 10, failWith: null, requests: [], aborted: 0 });
+    Object.assign(mocks.elevenlabs, { msPerChar: 20, chunkDelayMs: 5, failWith: null, requests: [], aborted: 0 });
+  });
+
+  const open = () => TestClient.connect(server.url, { token });
+  const state = (name) => ({ where: (message) => message.state === name });
+
+  // Say `transcript` (as far as the mock STT is concerned) and wait for the spoken answer
+  const turn = async (client, transcript) => {
+    mocks.deepgram.script.push(transcript);
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+    assert.equal((await client.next('transcript')).text, transcript);
+    await client.next('audio_end');
+  };
+
+  // Confirm playback and wait out the short echo tail after it
+  const finishPlayback = async (client) => {
+    client.send({ type: 'playback_done' });
+    await client.next('state', state('listening'));
+    await sleep(600);
+  };
+
+  it('rejects the upgrade without a valid token', async () => {
+    await assert.rejects(TestClient.connect(server.url), /Unexpected server response: 401/);
+    await assert.rejects(TestClient.connect(server.url, { token: 'not-a-token' }), /Unexpected server response: 401/);
+    assert.ok(server.logs.some((entry) => entry.msg.startsWith('🚫 Unauthenticated upgrade')));
+  });
+
+  it('runs a spoken turn through STT, LLM and TTS', async () => {
+    const client = await open();
+    mocks.deepgram.script.push('Hoi Donna');
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+
+    assert.equal((await client.next('transcript_partial')).text, 'Hoi');
+    assert.equal((await client.next('transcript')).text, 'Hoi Donna');
+    await client.next('state', state('processing'));
+    await client.next('state', state('speaking'));
+    assert.equal((await client.next('response_done')).text, DEFAULT_REPLY);
+    await client.next('audio_end');
+    const timing = await client.next('timing');
+    assert.equal(timing.outcome, 'completed');
+    assert.ok(timing.firstAudioMs <= timing.audioEndMs);
+
+    const audio = client.all('audio');
+    assert.deepEqual(audio.map((message) => message.text), ['Hallo daar.', 'Dit is een test.']);
+    assert.ok(audio.every((message) => message.format === 'pcm_s16le' && message.sampleRate === 16000 && message.data.length > 0));
+
+    const { query } = mocks.deepgram.connections.at(-1);
+    assert.equal(query.model, 'nova-3');
+    assert.equal(query.language, 'nl');
+    assert.equal(query.utterance_end_ms, '1000');
+    const [request] = mocks.llm.requests;
+    assert.equal(request.stream, true);
+    assert.deepEqual(request.messages.at(-1), { role: 'user', content: 'Hoi Donna' });
+    assert.deepEqual(mocks.elevenlabs.requests.map((r) => r.text), ['Hallo daar.', 'Dit is een test.']);
+
+    client.send({ type: 'playback_done' });
+    await client.next('state', state('listening'));
+    await client.close();
+  });
+
+  it('ignores audio while speaking and listens again after playback_done', async () => {
+    const client = await open();
+    await turn(client, 'Hoi Donna');
+    const connections = mocks.deepgram.connections.length;
+
+    // Quiet enough not to count as a barge-in: the echo of our own TTS, say
+    client.speak(Buffer.concat([speech(400, 1000), silence(1100)]));
+    await client.none('transcript', 500);
+    assert.equal(mocks.deepgram.connections.length, connections, 'no STT session while speaking');
+
+    await finishPlayback(client);
+    await turn(client, 'En morgen?');
+
+    // The follow-up carries the conversation so far
+    const messages = mocks.llm.requests[1].messages.filter((m) => m.role !== 'system');
+    assert.deepEqual(messages.map((m) => m.content), ['Hoi Donna', DEFAULT_REPLY, 'En morgen?']);
+    await client.close();
+  });
+
+  it('resumes listening after the playback timeout when playback_done never comes', async () => {
+    const client = await open();
+    await turn(client, 'Hoi Donna');
+    const audioEndAt = Date.now();
+
+    await client.next('state', { ...state('listening'), timeoutMs: PLAYBACK_TIMEOUT_MS + 2000 });
+    const waited = Date.now() - audioEndAt;
+    assert.ok(waited >= PLAYBACK_TIMEOUT_MS - 100 && waited < PLAYBACK_TIMEOUT_MS + 1000, `resumed after ${waited}ms`);
+    assert.ok(server.logs.some((entry) => entry.msg.startsWith('🔊 playback_done timeout')));
+
+    await sleep(600);
+    await turn(client, 'Ben je er nog?');
+    await client.close();
+  });
+
+  it('cancels the LLM stream and TTS on an interrupt', async () => {
+    mocks.llm.reply = 'Een. Twee. Drie. Vier. Vijf. Zes. Zeven. Acht. Negen. Tien.';
+    mocks.llm.tokenDelayMs = 150;
+    const client = await open();
+    mocks.deepgram.script.push('Tel tot tien');
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+
+    await client.next('audio');
+    client.send({ type: 'interrupt' });
+    assert.equal((await client.next('timing')).outcome, 'interrupted');
+    await client.next('audio_end');
+    await eventually(() => mocks.llm.aborted === 1);
+
+    const sent = client.all('audio').length;
+    await sleep(500);
+    assert.equal(client.all('audio').length, sent, 'no audio after the interrupt');
+    assert.ok(mocks.llm.requests.length === 1 && sent < 10);
+    await client.close();
+  });
+
+  it('barges in when the user talks over playback (server VAD)', async () => {
+    const client = await open();
+    await turn(client, 'Hoi Donna'); // still speaking: no playback_done yet
+
+    mocks.deepgram.script.push('Wacht even');
+    client.speak(speech(600, 8000));
+    await client.next('barge_in');
+    await client.next('state', state('listening'));
+
+    // The interrupting sentence (with its buffered onset) becomes the next turn
+    client.speak(silence(1100));
+    assert.equal((await client.next('transcript')).text, 'Wacht even');
+    await client.close();
+  });
+
+  it('transcribes a barge-in that interrupts the audio stream', async () => {
+    mocks.llm.reply = 'Een. Twee. Drie. Vier. Vijf. Zes. Zeven. Acht. Negen. Tien.';
+    mocks.llm.tokenDelayMs = 150;
+    const client = await open();
+    mocks.deepgram.script.push('Tel tot tien');
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+    await client.next('audio'); // still streaming: no audio_end yet
+
+    mocks.deepgram.script.push('Wacht even');
+    client.speak(Buffer.concat([speech(600, 8000), silence(1100)]));
+    await client.next('barge_in');
+    assert.equal((await client.next('transcript')).text, 'Wacht even');
+    await client.close();
+  });
+
+  it('closes a connection that does not keep up with the audio (backpressure)', async () => {
+    // ~44s per sentence at 48kHz stereo is ~11MB of base64 JSON: the kernel takes a few MB
+    // of the first one, the second pushes the server's send buffer past the 8MB watermark.
+    mocks.elevenlabs.msPerChar = 2000;
+    mocks.elevenlabs.chunkDelayMs = 0;
+    mocks.llm.reply = ['een', 'twee', 'drie', 'vier', 'vijf', 'zes'].map((n) => `Dit is zin nummer ${n}.`).join(' ');
+    const client = await open();
+    client.send({ type: 'hello', output: { sampleRate: 48000, channels: 2 } });
+    await client.next('transport');
+
+    client.ws.pause(); // stop reading: the server's send buffer fills up
+    client.send({ type: 'text', text: 'Vertel een lang verhaal' });
+    await eventually(() => server.logs.some((entry) => entry.msg.startsWith('⚠️ Backpressure')), { timeoutMs: 20000 });
+
+    client.ws.resume();
+    const { code, reason } = await client.closed;
+    assert.equal(code, 1013);
+    assert.equal(reason, 'backpressure');
+  });
+
+  it('apologizes when the LLM fails', async () => {
+    mocks.llm.failWith = 500;
+    const client = await open();
+    mocks.deepgram.script.push('Hoi Donna');
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+
+    const apology = await client.next('apology');
+    assert.equal(apology.stage, 'llm');
+    assert.ok(apology.text.length > 0);
+    assert.equal(client.all('timing').at(-1).outcome, 'error');
+    // The apology itself is spoken
+    assert.equal((await client.next('audio')).text, apology.text);
+    await client.next('audio_end');
+    await client.close();
+  });
+
+  it('apologizes in text when TTS fails', async () => {
+    mocks.elevenlabs.failWith = 500;
+    const client = await open();
+    mocks.deepgram.script.push('Hoi Donna');
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+
+    assert.equal((await client.next('apology')).stage, 'tts');
+    await client.next('state', state('listening'));
+    assert.equal(client.all('audio').length, 0);
+    await client.close();
+  });
+
+  it('reports an STT outage once, apologizes and recovers', async () => {
+    mocks.deepgram.rejectWith = 503;
+    const client = await open();
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+
+    assert.match((await client.next('error')).error, /stt/i);
+    assert.equal((await client.next('apology')).stage, 'stt');
+    await client.next('audio_end');
+    await client.none('error', 300);
+    assert.equal(client.all('error').length, 1);
+
+    await finishPlayback(client);
+    mocks.deepgram.rejectWith = null;
+    await turn(client, 'Hoor je me nu?');
+    await client.close();
+  });
+
+  it('push-to-talk: hears only the listen window and ends the utterance on listen_stop', async () => {
+    const client = await open();
+    client.send({ type: 'hello', settings: { listenMode: 'push-to-talk' } });
+    await client.next('config', { where: (message) => message.settings.listenMode === 'push-to-talk' });
+
+    // Nothing outside the window reaches the STT
+    const connections = mocks.deepgram.connections.length;
+    client.speak(Buffer.concat([speech(400), silence(1100)]));
+    await client.none('transcript', 300);
+    assert.equal(mocks.deepgram.connections.length, connections);
+
+    // A pause past the STT's utterance end does not end the turn; listen_stop does
+    mocks.deepgram.script.push('Zet op de lijst:', 'melk en brood');
+    client.send({ type: 'listen_start' });
+    client.speak(Buffer.concat([speech(400), silence(1500), speech(400), silence(100)]));
+    await client.none('transcript', 300);
+    client.send({ type: 'listen_stop' });
+    assert.equal((await client.next('transcript')).text, 'Zet op de lijst: melk en brood');
+    await client.next('audio_end');
+    assert.equal(mocks.deepgram.connections.length, connections + 1);
+    await client.close();
+  });
+
+  it('hold-to-talk: pressing takes the floor, releasing ends the utterance at once', async () => {
+    const client = await open();
+    client.send({ type: 'hello', settings: { listenMode: 'hold-to-talk' } });
+    await client.next('config', { where: (message) => message.settings.listenMode === 'hold-to-talk' });
+
+    mocks.deepgram.script.push('Hoi Donna');
+    client.send({ type: 'listen_start' });
+    client.speak(speech(400)); // released without a pause
+    client.send({ type: 'listen_stop' });
+    assert.equal((await client.next('transcript')).text, 'Hoi Donna');
+    await client.next('audio_end');
+
+    // Still speaking (no playback_done): pressing again interrupts and listens right away
+    mocks.deepgram.script.push('Wacht even');
+    client.send({ type: 'listen_start' });
+    await client.next('state', state('listening'));
+    client.speak(speech(400));
+    client.send({ type: 'listen_stop' });
+    assert.equal((await client.next('transcript')).text, 'Wacht even');
+    await client.close();
+  });
+
+  it('refuses listen_start in continuous mode', async () => {
+    const client = await open();
+    client.send({ type: 'listen_start' });
+    assert.match((await client.next('error')).error, /listenMode/);
+    await client.close();
+  });
+
+  it('reports a stage that is down on /health with 503, without a token too', async () => {
+    const strict = await startServer({ ...mockEnv(mocks), PROVIDER_RETRIES: '0', BREAKER_THRESHOLD: '1' });
+    try {
+      const strictToken = new TokenStore(path.join(strict.dataDir, 'tokens.json')).issue('e2e').token;
+      const before = await fetch(`${strict.httpUrl}/health`);
+      assert.equal(before.status, 200);
+      assert.deepEqual(await before.json(), { status: 'ok' });
+
+      mocks.deepgram.rejectWith = 503;
+      const client = await TestClient.connect(strict.url, { token: strictToken });
+      client.speak(speech(100));
+      await client.next('apology');
+      await client.close();
+
+      // A monitor without a token sees the status only
+      const after = await fetch(`${strict.httpUrl}/health`);
+      assert.equal(after.status, 503);
+      assert.deepEqual(await after.json(), { status: 'down' });
+
+      const detailed = await fetch(`${strict.httpUrl}/health`, { headers: { Authorization: `Bearer ${strictToken}` } });
+      assert.equal(detailed.status, 503);
+      const health = await detailed.json();
+      assert.equal(health.status, 'down');
+      assert.equal(health.providers.stt.deepgram.state, 'open');
+    } finally {
+      await strict.stop();
+    }
+  });
+
+  it('keeps the TTS cache routes to admin tokens', async () => {
+    const store = new TokenStore(path.join(server.dataDir, 'tokens.json'));
+    const request = (token, method = 'GET') => fetch(`${server.httpUrl}/tts-cache`, { method, headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal((await request(token)).status, 403);
+    assert.equal((await request(token, 'DELETE')).status, 403);
+    // Past the admin check; this server runs without a cache
+    assert.equal((await request(store.issue('e2e-admin', { admin: true }).token)).status, 409);
+  });
+
+  it('answers a malformed message with an error', async () => {
+    const client = await open();
+    client.send('{not json');
+    assert.equal((await client.next('error')).error, 'Invalid message');
+    await client.close();
+  });
+});
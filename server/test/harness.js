@@ -0,0 +1,218 @@
+/**
+ * e2e harness: runs the real server (index.js) as a child process and talks to it over
+ * WebSocket like the iOS app does.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setTimeout as sleep } from 'timers/promises';
+import { connect, createAudioSender } from '../ws-client.js';
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+const START_TIMEOUT_MS = 10000;
+
+/**
+ * Start the server with `env` on a random port, in a fresh DATA_DIR. Runs from that directory,
+ * so a developer's .env can't leak into the test. Resolves once it accepts connections.
+ *
+ * @returns {Promise<{url: string, httpUrl: string, dataDir: string, logs: object[], stop: () => Promise<void>}>}
+ */
+export async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-e2e-'));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dataDir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: '0',
+      DATA_DIR: dataDir,
+      LOG_FILE: 'off',
+      LOG_CONSOLE: 'json',
+      LOG_LEVEL: 'debug',
+      TTS_CACHE: 'off',
+      TOOLS: 'off',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const logs = [];
+  let output = '';
+  const ready = new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    // JSON log lines; warnings and errors come on stderr
+    const parse = (stream) => {
+      let buffer = '';
+      stream.on('data', (data) => {
+        buffer += data;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          output += `${line}\n`;
+          let entry;
+          try { entry = JSON.parse(line); } catch { continue; }
+          logs.push(entry);
+          const port = /^✅ Ready on http:\/\/[\d.]+:(\d+)/.exec(entry.msg)?.[1];
+          if (port) {
+            clearTimeout(timeout);
+            resolve(Number(port));
+          }
+        }
+      });
+    };
+    parse(child.stdout);
+    parse(child.stderr);
+    child.on('exit', (code) => {
+      clearTimeout(timeout);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const port = await ready;
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    httpUrl: `http://127.0.0.1:${port}`,
+    dataDir,
+    logs,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// PCM S16LE 16kHz mono: a tone loud enough to count as speech, or silence
+export function speech(ms, amplitude = 6000) {
+  const samples = Math.round(ms * 16);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 220 * i / 16000) * amplitude), i * 2);
+  }
+  return pcm;
+}
+
+export function silence(ms) {
+  return Buffer.alloc(Math.round(ms * 16) * 2);
+}
+
+/**
+ * A WebSocket client that keeps every JSON message, so a test can wait for the next one of a
+ * type (`next`) or check that none arrives (`none`). Binary frames are counted, not kept.
+ */
+export class TestClient {
+  static async connect(url, { token, query = '' } = {}) {
+    const client = new TestClient(connect(`${url}/${query}`, token));
+    await new Promise((resolve, reject) => {
+      client.ws.once('open', resolve);
+      client.ws.once('error', reject);
+    });
+    return client;
+  }
+
+  constructor(ws) {
+    this.ws = ws;
+    this.messages = [];
+    this.cursor = 0; // messages before this index were consumed by `next`
+    this.binaryFrames = 0;
+    this.waiters = new Set();
+    this.sendAudio = createAudioSender(ws);
+    this.closed = new Promise((resolve) => {
+      ws.on('close', (code, reason) => {
+        resolve({ code, reason: reason.toString() });
+        this.notify();
+      });
+    });
+    ws.on('error', () => {}); // surfaces as `close`
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) this.binaryFrames++;
+      else this.messages.push(JSON.parse(data.toString()));
+      this.notify();
+    });
+  }
+
+  notify() {
+    for (const waiter of this.waiters) waiter();
+  }
+
+  send(message) {
+    this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  // Uplink audio in 20ms chunks, as fast as the socket takes it (the STT works in audio time)
+  speak(pcm, chunkMs = 20) {
+    const chunkBytes = chunkMs * 32;
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) this.sendAudio(pcm.subarray(offset, offset + chunkBytes));
+  }
+
+  // Index of the first unconsumed message matching `type` (and `where`), or -1
+  find(type, where) {
+    for (let i = this.cursor; i < this.messages.length; i++) {
+      const message = this.messages[i];
+      if (message.type === type && (!where || where(message))) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Wait for the next message of `type` (matching `where`), consuming everything up to it.
+   */
+  next(type, { where, timeoutMs = 5000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const index = this.find(type, where);
+        if (index === -1 && this.ws.readyState !== this.ws.CLOSED) return;
+        clearTimeout(timeout);
+        this.waiters.delete(check);
+        if (index === -1) {
+          reject(new Error(`Connection closed while waiting for "${type}"`));
+          return;
+        }
+        this.cursor = index + 1;
+        resolve(this.messages[index]);
+      };
+      const timeout = setTimeout(() => {
+        this.waiters.delete(check);
+        const seen = this.messages.slice(this.cursor).map((m) => m.type).join(', ') || 'nothing';
+        reject(new Error(`Timed out waiting for "${type}" (got: ${seen})`));
+      }, timeoutMs);
+      this.waiters.add(check);
+      check();
+    });
+  }
+
+  /**
+   * Resolve after `ms` if no (unconsumed) message of `type` arrived; reject otherwise.
+   */
+  async none(type, ms) {
+    await sleep(ms);
+    const index = this.find(type);
+    if (index !== -1) throw new Error(`Unexpected "${type}": ${JSON.stringify(this.messages[index])}`);
+  }
+
+  // Messages of `type` received so far, consumed or not
+  all(type) {
+    return this.messages.filter((message) => message.type === type);
+  }
+
+  async close() {
+    if (this.ws.readyState === this.ws.OPEN) this.ws.close();
+    await this.closed;
+  }
+}
+
+/**
+ * Poll `condition` until it holds (for mock state that changes without a message).
+ */
+export async function eventually(condition, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await sleep(intervalMs);
+  }
+}
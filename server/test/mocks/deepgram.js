@@ -0,0 +1,163 @@
+/**
+ * Stand-in for Deepgram live transcription (`wss://api.deepgram.com/v1/listen`), for the e2e
+ * suite and offline development (DEEPGRAM_URL=ws://127.0.0.1:<port>).
+ *
+ * Endpointing works on the audio itself, in audio time rather than wall-clock time: a chunk
+ * whose RMS reaches `speechRms` is speech. The first speech of an utterance takes the next
+ * line of `script`; after `endpointingMs` of silence a final `Results` is sent, after
+ * `utteranceEndMs` the `UtteranceEnd`. An interim result (the first half of the words) goes
+ * out once 200ms of speech has been heard. Script lines may carry a language tag
+ * ("en: What time is it?"), reported per word as in multilingual mode. `Finalize` ends the
+ * utterance at once: its final `Results` (empty when nothing was said) has `from_finalize`.
+ *
+ *   const deepgram = await new MockDeepgram({ script: ['Hoi Donna'] }).listen();
+ *   deepgram.rejectWith = 503; // refuse new connections, like an outage
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { rmsS16 } from '../../audio.js';
+
+const BYTES_PER_MS = 16000 * 2 / 1000;
+const INTERIM_AFTER_MS = 200;
+
+export class MockDeepgram {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey='test-deepgram-key']
+   * @param {string[]} [options.script]          - transcripts, one per utterance, in order
+   * @param {string} [options.fallbackTranscript='Hallo Donna'] - once the script runs out
+   * @param {number} [options.speechRms=500]
+   * @param {number} [options.endpointingMs=300]
+   * @param {number} [options.utteranceEndMs=1000]
+   */
+  constructor({
+    apiKey = 'test-deepgram-key',
+    script = [],
+    fallbackTranscript = 'Hallo Donna',
+    speechRms = 500,
+    endpointingMs = 300,
+    utteranceEndMs = 1000
+  } = {}) {
+    this.apiKey = apiKey;
+    this.script = [...script];
+    this.fallbackTranscript = fallbackTranscript;
+    this.speechRms = speechRms;
+    this.endpointingMs = endpointingMs;
+    this.utteranceEndMs = utteranceEndMs;
+    this.rejectWith = null; // HTTP status for new connections, e.g. 401 or 503
+    this.connections = []; // { query, audioBytes, closed }
+    this.sockets = new Set();
+
+    this.server = http.createServer((req, res) => {
+      res.writeHead(404).end();
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.upgrade(req, socket, head));
+  }
+
+  async listen(port = 0) {
+    await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    return this;
+  }
+
+  get url() {
+    return `ws://127.0.0.1:${this.server.address().port}`;
+  }
+
+  // Deepgram takes the key as `Authorization: Token <key>` (Node) or the `token` subprotocol (browsers)
+  authorized(req) {
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map((s) => s.trim());
+    return req.headers.authorization === `Token ${this.apiKey}` || (protocols[0] === 'token' && protocols[1] === this.apiKey);
+  }
+
+  upgrade(req, socket, head) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const status = pathname !== '/v1/listen' ? 404 : !this.authorized(req) ? 401 : this.rejectWith;
+    if (status) {
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.accept(ws, Object.fromEntries(searchParams)));
+  }
+
+  accept(ws, query) {
+    const connection = { query, audioBytes: 0, closed: false };
+    this.connections.push(connection);
+    this.sockets.add(ws);
+    let utterance = null; // { transcript, language, speechMs, silenceMs, interimSent, finalSent }
+
+    const send = (message) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message));
+    const results = (text, language, isFinal, fromFinalize = false) => send({
+      type: 'Results',
+      is_final: isFinal,
+      speech_final: isFinal,
+      from_finalize: fromFinalize,
+      channel: {
+        alternatives: [{
+          transcript: text,
+          confidence: 0.99,
+          words: text.split(/\s+/).filter(Boolean).map((word) => ({ word: word.toLowerCase(), punctuated_word: word, confidence: 0.99, ...(language && { language }) }))
+        }]
+      }
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) {
+        // Control messages: KeepAlive, Finalize, CloseStream
+        const { type } = JSON.parse(data.toString());
+        if (type === 'Finalize') {
+          const pending = utterance && !utterance.finalSent ? utterance : null;
+          results(pending?.transcript ?? '', pending?.language, true, true);
+          utterance = null;
+        }
+        if (type === 'CloseStream') {
+          send({ type: 'Metadata', duration: connection.audioBytes / BYTES_PER_MS / 1000 });
+          ws.close(1000);
+        }
+        return;
+      }
+
+      connection.audioBytes += data.length;
+      const ms = data.length / BYTES_PER_MS;
+
+      if (rmsS16(data) >= this.speechRms) {
+        if (!utterance) {
+          const [, language, transcript] = /^(?:([a-z]{2}):\s*)?(.*)$/s.exec(this.script.shift() ?? this.fallbackTranscript);
+          utterance = { transcript, language, speechMs: 0, silenceMs: 0, interimSent: false, finalSent: false };
+          send({ type: 'SpeechStarted' });
+        }
+        utterance.speechMs += ms;
+        utterance.silenceMs = 0;
+        if (!utterance.interimSent && utterance.speechMs >= INTERIM_AFTER_MS) {
+          utterance.interimSent = true;
+          const words = utterance.transcript.split(/\s+/);
+          results(words.slice(0, Math.ceil(words.length / 2)).join(' '), utterance.language, false);
+        }
+        return;
+      }
+
+      if (!utterance) return;
+      utterance.silenceMs += ms;
+      if (!utterance.finalSent && utterance.silenceMs >= this.endpointingMs) {
+        utterance.finalSent = true;
+        results(utterance.transcript, utterance.language, true);
+      }
+      if (utterance.silenceMs >= this.utteranceEndMs) {
+        send({ type: 'UtteranceEnd', last_word_end: 0 });
+        utterance = null;
+      }
+    });
+
+    ws.on('close', () => {
+      connection.closed = true;
+      this.sockets.delete(ws);
+    });
+  }
+
+  async close() {
+    for (const ws of this.sockets) ws.terminate();
+    this.wss.close();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Stand-in for ElevenLabs streaming TTS (`POST /v1/text-to-speech/:voice/stream?output_format=pcm_<rate>`),
+ * for the e2e suite and offline development (ELEVENLABS_URL=http://127.0.0.1:<port>).
+ * The "speech" is the fake provider's tone (tts/fake.js): its length depends only on the text.
+ *
+ *   const tts = await new MockElevenLabs({ msPerChar: 20 }).listen();
+ *   tts.failWith = 500; // every request fails until reset to null
+ */
+
+import http from 'http';
+import { setTimeout as sleep } from 'timers/promises';
+import { readBody } from '../../http.js';
+import { FakeTTS } from '../../tts/fake.js';
+
+const SAMPLE_RATES = [16000, 22050, 24000, 44100];
+
+export class MockElevenLabs {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey='test-elevenlabs-key'] - expected in `xi-api-key`
+   * @param {number} [options.msPerChar=20]   - audio length per character of text
+   * @param {number} [options.chunkDelayMs=5] - pause between streamed chunks
+   */
+  constructor({ apiKey = 'test-elevenlabs-key', msPerChar = 20, chunkDelayMs = 5 } = {}) {
+    this.apiKey = apiKey;
+    this.msPerChar = msPerChar;
+    this.chunkDelayMs = chunkDelayMs;
+    this.failWith = null; // HTTP status for every request, e.g. 429 or 500
+    this.requests = []; // { voiceId, sampleRate, text, model }
+    this.aborted = 0;
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        if (!res.headersSent) res.writeHead(500).end(JSON.stringify({ detail: { message: error.message } }));
+      });
+    });
+  }
+
+  async listen(port = 0) {
+    await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    return this;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const match = /^\/v1\/text-to-speech\/([^/]+)\/stream$/.exec(pathname);
+    if (req.method !== 'POST' || !match) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.headers['xi-api-key'] !== this.apiKey) {
+      res.writeHead(401, { 'Content-Type': 'application/json' }).end(JSON.stringify({ detail: { status: 'invalid_api_key' } }));
+      return;
+    }
+
+    const sampleRate = Number(/^pcm_(\d+)$/.exec(searchParams.get('output_format') || '')?.[1]);
+    if (!SAMPLE_RATES.includes(sampleRate)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ detail: { status: 'invalid_output_format' } }));
+      return;
+    }
+
+    const { text, model_id: model } = JSON.parse((await readBody(req)).toString());
+    this.requests.push({ voiceId: decodeURIComponent(match[1]), sampleRate, text, model });
+    if (this.failWith) {
+      res.writeHead(this.failWith, { 'Content-Type': 'application/json' }).end(JSON.stringify({ detail: { message: `Mock failure ${this.failWith}` } }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'audio/pcm' });
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      if (!res.writableFinished) this.aborted++;
+    });
+    for await (const chunk of new FakeTTS({ msPerChar: this.msPerChar }).stream(text, { sampleRate })) {
+      if (closed) return;
+      res.write(chunk);
+      await sleep(this.chunkDelayMs);
+    }
+    res.end();
+  }
+
+  async close() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Local stand-ins for the cloud providers (Deepgram, OpenAI/OpenClaw, ElevenLabs).
+ *
+ * `startMocks()` starts all three; `mockEnv()` is the server environment that points at them.
+ * `npm run mocks` runs them on fixed ports for manual testing (see serve.js).
+ */
+
+import { MockDeepgram } from './deepgram.js';
+import { MockChatCompletions } from './openai.js';
+import { MockElevenLabs } from './elevenlabs.js';
+
+export { MockDeepgram, MockChatCompletions, MockElevenLabs };
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.deepgram]   - MockDeepgram options
+ * @param {object} [options.llm]        - MockChatCompletions options
+ * @param {object} [options.elevenlabs] - MockElevenLabs options
+ * @param {object} [options.ports]      - {deepgram, llm, elevenlabs}; random free ports by default
+ */
+export async function startMocks({ deepgram, llm, elevenlabs, ports = {} } = {}) {
+  return {
+    deepgram: await new MockDeepgram(deepgram).listen(ports.deepgram),
+    llm: await new MockChatCompletions(llm).listen(ports.llm),
+    elevenlabs: await new MockElevenLabs(elevenlabs).listen(ports.elevenlabs)
+  };
+}
+
+export function mockEnv(mocks) {
+  return {
+    STT_PROVIDER: 'deepgram',
+    DEEPGRAM_API_KEY: mocks.deepgram.apiKey,
+    DEEPGRAM_URL: mocks.deepgram.url,
+    LLM_BACKEND: 'openai',
+    OPENAI_API_KEY: mocks.llm.apiKey,
+    OPENAI_BASE_URL: `${mocks.llm.url}/v1`,
+    TTS_PROVIDER: 'elevenlabs',
+    ELEVENLABS_API_KEY: mocks.elevenlabs.apiKey,
+    ELEVENLABS_URL: mocks.elevenlabs.url
+  };
+}
+
+export async function stopMocks(mocks) {
+  await Promise.all(Object.values(mocks).map((mock) => mock.close()));
+}
@@ -0,0 +1,97 @@
+/**
+ * Stand-in for the chat completions API as OpenAI and the OpenClaw gateway serve it
+ * (`POST /v1/chat/completions`): streamed replies as server-sent events, word by word, and
+ * plain JSON for `stream: false` (conversation summaries).
+ *
+ *   const llm = await new MockChatCompletions({ reply: 'Hallo daar.' }).listen();
+ *   // OPENAI_BASE_URL=${llm.url}/v1  or  OPENCLAW_URL=${llm.url}
+ *   llm.failWith = 500; // every request fails until reset to null
+ */
+
+import http from 'http';
+import { setTimeout as sleep } from 'timers/promises';
+import { readBody } from '../../http.js';
+
+export class MockChatCompletions {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey='test-openai-key'] - expected as `Authorization: Bearer <key>`
+   * @param {string|(body: object) => string} [options.reply]
+   * @param {number} [options.tokenDelayMs=10] - pause between streamed words
+   */
+  constructor({ apiKey = 'test-openai-key', reply = 'Hallo daar. Dit is een test.', tokenDelayMs = 10 } = {}) {
+    this.apiKey = apiKey;
+    this.reply = reply;
+    this.tokenDelayMs = tokenDelayMs;
+    this.failWith = null; // HTTP status for every request, e.g. 429 or 500
+    this.requests = []; // parsed request bodies
+    this.aborted = 0; // streams the client closed before the end (interrupts)
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        if (!res.headersSent) res.writeHead(500).end(JSON.stringify({ error: { message: error.message } }));
+      });
+    });
+  }
+
+  async listen(port = 0) {
+    await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    return this;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async handle(req, res) {
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.headers.authorization !== `Bearer ${this.apiKey}`) {
+      res.writeHead(401, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { message: 'Incorrect API key provided' } }));
+      return;
+    }
+
+    const body = JSON.parse((await readBody(req)).toString());
+    this.requests.push(body);
+    if (this.failWith) {
+      res.writeHead(this.failWith, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { message: `Mock failure ${this.failWith}` } }));
+      return;
+    }
+
+    const reply = typeof this.reply === 'function' ? this.reply(body) : this.reply;
+    if (!body.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }] }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      if (!res.writableFinished) this.aborted++;
+    });
+
+    const chunk = (delta, finishReason = null) => `data: ${JSON.stringify({
+      object: 'chat.completion.chunk',
+      model: body.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })}\n\n`;
+
+    for (const token of reply.match(/\S+\s*/g) || []) {
+      if (closed) return;
+      res.write(chunk({ content: token }));
+      await sleep(this.tokenDelayMs);
+    }
+    if (closed) return;
+    res.write(chunk({}, 'stop'));
+    res.end('data: [DONE]\n\n');
+  }
+
+  async close() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
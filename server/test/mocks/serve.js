@@ -0,0 +1,23 @@
+/**
+ * Run the provider stand-ins on fixed ports and print the matching server environment:
+ *
+ *   npm run mocks
+ *   MOCK_SCRIPT="Hoi Donna|Hoe laat is het?" MOCK_REPLY="Het is drie uur." npm run mocks
+ *
+ * Then start the server with those variables (plus AUTH_MODE=off for a quick try) and talk to
+ * it with ws-test-client.js or a real client — without any API key or network.
+ */
+
+import { startMocks, mockEnv } from './index.js';
+
+const script = (process.env.MOCK_SCRIPT || '').split('|').map((s) => s.trim()).filter(Boolean);
+const reply = process.env.MOCK_REPLY;
+
+const mocks = await startMocks({
+  deepgram: { script },
+  llm: reply ? { reply } : {},
+  ports: { deepgram: 9101, llm: 9102, elevenlabs: 9103 }
+});
+
+console.log('✅ Mock providers running. Server environment:\n');
+for (const [key, value] of Object.entries(mockEnv(mocks))) console.log(`${key}=${value}`);
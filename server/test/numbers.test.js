@@ -0,0 +1,97 @@
+/**
+ * Unit tests for text/numbers.js: numbers, amounts, dates and times written out for TTS.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { verbalizeNumbers, cardinal, ordinal } from '../text/numbers.js';
+
+describe('verbalizeNumbers', () => {
+  const cases = (language, table) => {
+    for (const [text, expected] of table) {
+      it(`${language}: ${text}`, () => assert.equal(verbalizeNumbers(text, language), expected));
+    }
+  };
+
+  describe('cardinals and decimals', () => {
+    cases('nl', [
+      ['22 appels', 'tweeëntwintig appels'],
+      ['1.000.000 mensen', 'één miljoen mensen'],
+      ['3.500 stappen', 'drieduizend vijfhonderd stappen'],
+      ['3,5 km', 'drie komma vijf km'],
+      ['0,5 liter', 'nul komma vijf liter'],
+      ['1234567', 'één miljoen tweehonderdvierendertigduizend vijfhonderdzevenenzestig']
+    ]);
+    cases('en', [
+      ['3,500 steps', 'three thousand five hundred steps'],
+      ['3.14', 'three point one four']
+    ]);
+  });
+
+  describe('codes are read digit by digit', () => {
+    cases('nl', [
+      ['Bel 0612345678', 'Bel nul zes een twee drie vier vijf zes zeven acht'],
+      ['PIN 0042', 'PIN nul nul vier twee'],
+      ['Rekening 123456789', 'Rekening een twee drie vier vijf zes zeven acht negen'],
+      ['Bel 112', 'Bel een een twee'],
+      ['Bel 113 of 0800-0113', 'Bel een een drie of nul acht nul nul-nul een een drie'],
+      ['115 appels', 'honderdvijftien appels']
+    ]);
+    cases('en', [
+      ['Call 0800', 'Call zero eight zero zero'],
+      ['Call 911', 'Call nine one one'],
+      ['Dial 999 or 116123', 'Dial nine nine nine or one one six one two three']
+    ]);
+  });
+
+  describe('amounts, percentages and temperatures', () => {
+    cases('nl', [
+      ['Het kost €12,50', 'Het kost twaalf euro vijftig'],
+      ['21%', 'eenentwintig procent'],
+      ['-5°C', 'min vijf graden Celsius']
+    ]);
+    cases('en', [
+      ['It costs $3.99', 'It costs three dollars and ninety-nine cents'],
+      ['a budget of €1,5 mln', 'a budget of one point five million euros'],
+      ['€2 miljard', 'two billion euros'],
+      ['$3 billion', 'three billion dollars'],
+      ['2500000 people', 'two million five hundred thousand people']
+    ]);
+    cases('nl', [
+      ['€ 1,5 miljoen', 'één komma vijf miljoen euro'],
+      ['$3 billion', 'drie miljard dollar']
+    ]);
+  });
+
+  describe('dates, times and years', () => {
+    cases('nl', [
+      ['op 2025-03-14', 'op veertien maart tweeduizend vijfentwintig'],
+      ['om 14:30', 'om veertien uur dertig'],
+      ['in 1985', 'in negentienhonderdvijfentachtig'],
+      ['de 1e', 'de eerste']
+    ]);
+    cases('en', [
+      ['at 14:05', 'at fourteen oh five'],
+      ['the 3rd', 'the third']
+    ]);
+  });
+
+  it('leaves other languages alone', () => {
+    assert.equal(verbalizeNumbers('Ruf 0612345678 an', 'de'), 'Ruf 0612345678 an');
+  });
+});
+
+describe('cardinal and ordinal', () => {
+  it('writes Dutch and English cardinals', () => {
+    assert.equal(cardinal(1, 'nl'), 'één');
+    assert.equal(cardinal(83, 'nl'), 'drieëntachtig');
+    assert.equal(cardinal(1100, 'en'), 'one thousand one hundred');
+  });
+
+  it('writes Dutch and English ordinals', () => {
+    assert.equal(ordinal(8, 'nl'), 'achtste');
+    assert.equal(ordinal(21, 'nl'), 'eenentwintigste');
+    assert.equal(ordinal(12, 'en'), 'twelfth');
+    assert.equal(ordinal(40, 'en'), 'fortieth');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for resilience.js: circuit breakers and provider chains.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { CircuitBreaker, ProviderChain, AllProvidersFailedError, isRetryable } from '../resilience.js';
+
+const failing = (statusCode) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+
+describe('CircuitBreaker', () => {
+  it('opens after `threshold` failures and lets a single trial through once half-open', async () => {
+    const breaker = new CircuitBreaker('test/a', { threshold: 2, cooldownMs: 20 });
+    breaker.failure(new Error('one'));
+    assert.equal(breaker.allowRequest(), true);
+    breaker.failure(new Error('two'));
+    assert.equal(breaker.allowRequest(), false);
+
+    await sleep(30);
+    assert.equal(breaker.allowRequest(), true, 'the trial');
+    assert.equal(breaker.allowRequest(), false, 'no second request while the trial runs');
+    breaker.success();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  it('re-opens when the trial fails, and frees the trial when it is released', async () => {
+    const breaker = new CircuitBreaker('test/a', { threshold: 1, cooldownMs: 20 });
+    breaker.failure(new Error('down'));
+    await sleep(30);
+    assert.equal(breaker.allowRequest(), true);
+    breaker.release(); // e.g. aborted
+    assert.equal(breaker.allowRequest(), true);
+    breaker.failure(new Error('still down'));
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.allowRequest(), false);
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries network errors and 5xx, no 4xx — not even 429, which the TTS scheduler handles', () => {
+    assert.equal(isRetryable(new Error('ECONNRESET')), true);
+    assert.equal(isRetryable(failing(503)), true);
+    assert.equal(isRetryable(failing(401)), false);
+    assert.equal(isRetryable(failing(429)), false);
+  });
+});
+
+describe('ProviderChain', () => {
+  const chain = (names, options = {}) => new ProviderChain('tts', names, { retries: 0, threshold: 1, cooldownMs: 20, ...options });
+
+  it('fails concurrent requests fast while a half-open trial is running', async () => {
+    const providers = chain(['a']);
+    await assert.rejects(providers.run(async () => { throw failing(500); }), AllProvidersFailedError);
+    await sleep(30);
+
+    let calls = 0;
+    let finishTrial;
+    const trial = providers.run(() => {
+      calls++;
+      return new Promise((resolve) => { finishTrial = resolve; });
+    });
+    await assert.rejects(providers.run(async () => { calls++; }), AllProvidersFailedError);
+    assert.equal(calls, 1);
+
+    finishTrial('ok');
+    assert.equal(await trial, 'ok');
+    assert.equal(await providers.run(async () => 'closed again'), 'closed again');
+  });
+
+  it('does not claim the trial of a provider it never tries', async () => {
+    const providers = chain(['a', 'b']);
+    providers.failure('b', new Error('down'));
+    await sleep(30);
+    // b is half-open; a answers, so b's trial stays available
+    assert.equal(await providers.run(async (name) => name), 'a');
+    assert.equal(await providers.run(async (name) => name, { preferred: 'b' }), 'b');
+  });
+
+  it('falls back to the next provider and retries only transient errors', async () => {
+    const providers = chain(['a', 'b'], { retries: 1, threshold: 5 });
+    const attempts = [];
+    const result = await providers.run(async (name) => {
+      attempts.push(name);
+      if (name === 'a') throw failing(401);
+      return name;
+    });
+    assert.equal(result, 'b');
+    assert.deepEqual(attempts, ['a', 'b']);
+  });
+});
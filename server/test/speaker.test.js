@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the local speaker verification backend (speaker/local.js, embedding.js).
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeEmbedding, embedInWorker } from '../speaker/embedding.js';
+import { LocalSpeakerVerifier } from '../speaker/local.js';
+import { VoiceprintStore } from '../speaker/voiceprints.js';
+
+// A voice-like signal: a few harmonics of `pitch` Hz with a slow level wobble
+function voice(pitch, seconds) {
+  const samples = 16000 * seconds;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const t = i / 16000;
+    const level = 0.6 + 0.4 * Math.sin(2 * Math.PI * 3 * t);
+    const value = [1, 2, 3, 5].reduce((sum, h) => sum + Math.sin(2 * Math.PI * pitch * h * t) / h, 0);
+    pcm.writeInt16LE(Math.round(value * level * 6000), i * 2);
+  }
+  return pcm;
+}
+
+describe('embedInWorker', () => {
+  it('gives the same embedding as computing it inline', async () => {
+    const pcm = voice(140, 2);
+    assert.deepEqual(await embedInWorker(pcm), computeEmbedding(pcm));
+  });
+
+  it('embeds only the bytes of a Buffer view', async () => {
+    const pcm = voice(140, 2);
+    const padded = Buffer.concat([Buffer.alloc(3200), pcm]);
+    assert.deepEqual(await embedInWorker(padded.subarray(3200)), computeEmbedding(pcm));
+  });
+});
+
+describe('LocalSpeakerVerifier', () => {
+  let verifier;
+
+  before(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-speaker-'));
+    verifier = new LocalSpeakerVerifier({ store: new VoiceprintStore(path.join(dir, 'voiceprints.json')), threshold: 0.9 });
+    await verifier.enroll('jac', voice(120, 4));
+  });
+
+  it('keeps the event loop responsive while verifying', async () => {
+    let longestGapMs = 0;
+    let last = performance.now();
+    let probing = true;
+    const probe = () => {
+      const now = performance.now();
+      longestGapMs = Math.max(longestGapMs, now - last);
+      last = now;
+      if (probing) setImmediate(probe);
+    };
+    setImmediate(probe);
+
+    // Inline, ten seconds of audio blocks the loop for ~100ms
+    const result = await verifier.verify(voice(120, 10));
+    probing = false;
+    await new Promise(setImmediate); // let the probe measure the last stretch
+    assert.equal(result.userId, 'jac');
+    assert.ok(longestGapMs < 30, `event loop blocked for ${Math.round(longestGapMs)}ms`);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for stt/local.js: the local STT engine run as a child process.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalSTTSession, splitArgs } from '../stt/local.js';
+
+const session = (options) => new LocalSTTSession({
+  connectionId: 'test',
+  onUtteranceEnd: () => {},
+  onError: () => {},
+  ...options
+});
+
+describe('splitArgs', () => {
+  it('splits on whitespace and keeps quoted words together', () => {
+    assert.deepEqual(splitArgs('-m {model}  -l {language} -f {file}'), ['-m', '{model}', '-l', '{language}', '-f', '{file}']);
+    assert.deepEqual(splitArgs(`-m '/models/my model.bin' --prompt "Donna's \\"notes\\""`), ['-m', '/models/my model.bin', '--prompt', 'Donna\'s "notes"']);
+    assert.deepEqual(splitArgs('a\\ b "" c'), ['a b', '', 'c']);
+  });
+
+  it('rejects an unterminated quote', () => {
+    assert.throws(() => splitArgs('-m "/models/x.bin'), /Unterminated "/);
+  });
+});
+
+describe('LocalSTTSession.start', () => {
+  it('fails when the command does not exist, so the provider chain can skip it', async () => {
+    assert.equal(await session({ command: 'donna-no-such-whisper' }).start(), false);
+    assert.equal(await session({ command: '/nonexistent/whisper-cli' }).start(), false);
+  });
+
+  it('fails when the model is missing', async () => {
+    assert.equal(await session({ command: process.execPath, model: '/nonexistent/ggml-small.bin' }).start(), false);
+  });
+
+  it('starts with an executable command', async () => {
+    const stt = session({ command: 'node', model: process.execPath });
+    assert.equal(await stt.start(), true);
+    assert.equal(stt.isActive, true);
+    stt.cleanup();
+  });
+});
+
+describe('LocalSTTSession.transcribe', () => {
+  it('fills in a quoted model path with spaces as a single argument', async () => {
+    const stt = session({
+      command: process.execPath,
+      args: `-e "console.log(process.argv.slice(1).join('|'))" '{model}' {language}`,
+      model: '/models/my model.bin',
+      language: 'en'
+    });
+    assert.deepEqual(await stt.transcribe(Buffer.alloc(3200)), { text: '/models/my model.bin|en', language: undefined });
+  });
+
+  it('does not start with an unterminated quote', async () => {
+    assert.equal(await session({ command: process.execPath, args: "-m '{model}" }).start(), false);
+  });
+});
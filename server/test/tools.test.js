@@ -0,0 +1,62 @@
+/**
+ * Unit tests for the tool registry and the built-in tools.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createToolRegistry } from '../tools/index.js';
+
+const registry = () => createToolRegistry(['time', 'timers', 'notes'], { timeZone: 'Europe/Amsterdam', notesFile: '/tmp/donna-test-notes.md' });
+
+describe('ToolRegistry.acknowledgement', () => {
+  it("speaks the tool's acknowledgement in the turn's language", () => {
+    assert.equal(registry().acknowledgement(['set_timer'], 'en'), "I'll set a timer.");
+    assert.equal(registry().acknowledgement(['read_notes'], 'de'), 'Ich schaue kurz in deine Notizen.');
+  });
+
+  it('falls back to a generic acknowledgement in that language', () => {
+    assert.equal(registry().acknowledgement(['get_current_time'], 'fr'), 'Un instant.');
+  });
+
+  it('falls back to Dutch without a known language', () => {
+    assert.equal(registry().acknowledgement(['set_timer'], null), 'Ik zet een timer.');
+    assert.equal(registry().acknowledgement(['get_current_time'], 'auto'), 'Momentje.');
+  });
+});
+
+describe('timers', () => {
+  const call = (name, args) => ({ id: 'call_1', function: { name, arguments: JSON.stringify(args) } });
+
+  it('announces a timer in the language of the turn that set it', async () => {
+    const tools = registry();
+    const announced = [];
+    const context = { connectionId: 'test', language: 'en', announce: (...args) => announced.push(args), state: {} };
+    await tools.execute(call('set_timer', { seconds: 1, label: 'pasta' }), context);
+    context.language = 'de'; // a later turn in another language doesn't change it
+    await sleep(1100);
+    assert.deepEqual(announced, [['Your timer for pasta is done.', 'en']]);
+    tools.dispose(context.state);
+  });
+
+  it('falls back to Dutch without a known language', async () => {
+    const tools = registry();
+    const announced = [];
+    const context = { connectionId: 'test', language: 'auto', announce: (...args) => announced.push(args), state: {} };
+    await tools.execute(call('set_timer', { seconds: 1 }), context);
+    await sleep(1100);
+    assert.deepEqual(announced, [['Je timer is afgelopen.', 'nl']]);
+    tools.dispose(context.state);
+  });
+
+  it('cancels pending timers when the connection closes', async () => {
+    const tools = createToolRegistry(['timers'], { timeZone: 'Europe/Amsterdam' });
+    const announced = [];
+    const context = { connectionId: 'test', language: 'nl', announce: (...args) => announced.push(args), state: {} };
+    await tools.execute(call('set_timer', { seconds: 1 }), context);
+    tools.dispose(context.state);
+    assert.equal(context.state.timers.size, 0);
+    await sleep(1100);
+    assert.deepEqual(announced, []);
+  });
+});
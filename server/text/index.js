@@ -0,0 +1,29 @@
+/**
+ * Text normalization between the LLM and TTS: the LLM stream is cut into sentences
+ * (segmenter.js), and each sentence is turned into what should actually be said —
+ * markdown and emoji stripped, lexicon applied, numbers/dates/amounts written out.
+ */
+
+import { stripMarkdown, stripEmoji } from './markdown.js';
+import { verbalizeNumbers } from './numbers.js';
+
+export { SentenceSegmenter } from './segmenter.js';
+export { Lexicon } from './lexicon.js';
+
+/**
+ * @param {string} text - one sentence (or announcement) as written by the LLM
+ * @param {string|null} language - 'nl', 'en', ...; numbers are only written out for nl/en
+ * @param {object} [options]
+ * @param {import('./lexicon.js').Lexicon} [options.lexicon]
+ * @returns {string} text to synthesize; empty when nothing is left to say
+ */
+export function normalizeForSpeech(text, language, { lexicon } = {}) {
+  let speech = stripEmoji(stripMarkdown(text));
+  if (lexicon) speech = lexicon.apply(speech, language);
+  speech = verbalizeNumbers(speech, language)
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/^[\s,;:]+/, '')
+    .trim();
+  return /[\p{L}\p{N}]/u.test(speech) ? speech : '';
+}
@@ -0,0 +1,79 @@
+/**
+ * User-editable pronunciation lexicon: words the TTS gets wrong, with how to write them so it
+ * says them right. A JSON file with entries for every language under "*" and per language:
+ *
+ *   {
+ *     "*":  { "ElevenLabs": "Eleven Labs" },
+ *     "nl": { "API": "aa-pee-ie", "Jac": "Jak" },
+ *     "en": { "Donna": "Donna", "SQL": "sequel" }
+ *   }
+ *
+ * Keys match whole words, case-insensitively. The file is re-read when it changes on disk, so
+ * edits apply to the next sentence without a restart.
+ */
+
+import fs from 'fs';
+import { logger } from '../logger.js';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class Lexicon {
+  constructor(file) {
+    this.file = file;
+    this.entries = {};
+    this.rules = new Map();
+    this.mtimeMs = -1;
+  }
+
+  // Re-read the file whenever it changed on disk; a broken edit keeps the previous entries
+  refresh() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      mtimeMs = -1;
+    }
+    if (mtimeMs === this.mtimeMs) return;
+    this.mtimeMs = mtimeMs;
+    this.rules.clear();
+    if (mtimeMs === -1) {
+      this.entries = {};
+      return;
+    }
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      logger.info('📖 Lexicon loaded', { file: this.file });
+    } catch (error) {
+      logger.error('⚠️ Lexicon not loaded', { file: this.file, error });
+    }
+  }
+
+  rulesFor(language) {
+    this.refresh();
+    const key = language || '*';
+    if (!this.rules.has(key)) {
+      const entries = { ...this.entries['*'], ...(language && this.entries[language]) };
+      // Longest first, so "New York City" wins over "New York"
+      const rules = Object.entries(entries)
+        .filter(([word, replacement]) => word.trim() && typeof replacement === 'string')
+        .sort(([a], [b]) => b.length - a.length)
+        .map(([word, replacement]) => ({
+          pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word.trim())}(?![\\p{L}\\p{N}])`, 'giu'),
+          replacement
+        }));
+      this.rules.set(key, rules);
+    }
+    return this.rules.get(key);
+  }
+
+  apply(text, language) {
+    let result = text;
+    for (const { pattern, replacement } of this.rulesFor(language)) {
+      result = result.replace(pattern, () => replacement);
+    }
+    return result;
+  }
+}
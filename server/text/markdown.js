@@ -0,0 +1,36 @@
+/**
+ * Strip what the LLM writes for the eye before it is read aloud: markdown, HTML, URLs, emoji.
+ */
+
+/**
+ * Markdown to plain text. Code blocks are dropped (nobody wants source code read out), inline
+ * code, links and emphasis keep their text, list bullets, headings, quotes and rules go.
+ */
+export function stripMarkdown(text) {
+  return text
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, ' ')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s*>+\s?/gm, '')
+    .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, '')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^\p{L}\p{N}])[*_](?=\S)([^*_]*?\S)[*_](?![\p{L}\p{N}])/gu, '$1$2')
+    .replace(/~~(.*?)~~/g, '$1')
+    .replace(/^[ \t]*\|?[ \t:|-]*-[ \t:|-]*$/gm, ' ')
+    .replace(/^\s*\||\|\s*$/gm, '')
+    .replace(/\s*\|\s*/g, ', ')
+    // A URL is read as its host name; trailing punctuation belongs to the sentence
+    .replace(/(?:https?:\/\/|www\.)(?:www\.)?([^\s/?#]+?)(?:[/?#]\S*?)?(?=[.,!?;:)]*(?:\s|$))/gi, '$1');
+}
+
+/**
+ * Emoji (including skin tones, flags, keycaps and ZWJ sequences) — TTS engines either skip
+ * them or read out their names.
+ */
+export function stripEmoji(text) {
+  return text.replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0F\u20E3]/gu, '');
+}
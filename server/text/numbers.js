@@ -0,0 +1,300 @@
+/**
+ * Numbers, dates, times, amounts and percentages written out as words, so every TTS engine
+ * reads them the same way (Dutch and English; other languages are left to the engine).
+ *
+ * Dutch writes 1.000,50 and English 1,000.50; a lone separator followed by exactly three
+ * digits is taken as a thousands separator in both ("3.500 stappen", "3,500 steps"), any
+ * other as the decimal one ("3.5 km" reads as three point five in Dutch text too).
+ */
+
+const WORDS = {
+  nl: {
+    units: ['nul', 'een', 'twee', 'drie', 'vier', 'vijf', 'zes', 'zeven', 'acht', 'negen', 'tien', 'elf',
+      'twaalf', 'dertien', 'veertien', 'vijftien', 'zestien', 'zeventien', 'achttien', 'negentien'],
+    tens: ['', '', 'twintig', 'dertig', 'veertig', 'vijftig', 'zestig', 'zeventig', 'tachtig', 'negentig'],
+    months: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september',
+      'oktober', 'november', 'december'],
+    million: 'miljoen',
+    billion: 'miljard',
+    point: 'komma',
+    minus: 'min',
+    percent: 'procent',
+    degrees: 'graden',
+    and: 'en'
+  },
+  en: {
+    units: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+      'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+    tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+      'October', 'November', 'December'],
+    million: 'million',
+    billion: 'billion',
+    point: 'point',
+    minus: 'minus',
+    percent: 'percent',
+    degrees: 'degrees',
+    and: 'and'
+  }
+};
+
+// [singular, plural] per language, for the main unit and the hundredth
+const CURRENCIES = {
+  '€': { nl: ['euro', 'euro', 'cent', 'cent'], en: ['euro', 'euros', 'cent', 'cents'] },
+  $: { nl: ['dollar', 'dollar', 'cent', 'cent'], en: ['dollar', 'dollars', 'cent', 'cents'] },
+  '£': { nl: ['pond', 'pond', 'penny', 'pence'], en: ['pound', 'pounds', 'penny', 'pence'] }
+};
+const CURRENCY_CODES = { EUR: '€', euro: '€', USD: '$', GBP: '£' };
+
+// Scale words after an amount, in either language ("€ 1,5 mln", "$2 billion"); read out as
+// the WORDS entry of the text's language
+const SCALE_WORDS = { miljoen: 'million', mln: 'million', million: 'million', miljard: 'billion', mld: 'billion', billion: 'billion' };
+
+const MAX_CARDINAL = 999_999_999_999;
+
+// === Cardinals ===
+
+function dutchBelow100(n) {
+  const { units, tens } = WORDS.nl;
+  if (n < 20) return units[n];
+  const unit = n % 10;
+  if (unit === 0) return tens[Math.floor(n / 10)];
+  return `${units[unit]}${units[unit].endsWith('e') ? 'ën' : 'en'}${tens[Math.floor(n / 10)]}`;
+}
+
+function dutchBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const prefix = hundreds === 0 ? '' : `${hundreds === 1 ? '' : WORDS.nl.units[hundreds]}honderd`;
+  return rest === 0 && prefix ? prefix : `${prefix}${dutchBelow100(rest)}`;
+}
+
+function dutchCardinal(n) {
+  if (n === 1) return 'één';
+  if (n < 1000) return dutchBelow1000(n);
+  const parts = [];
+  for (const [size, word] of [[1e9, WORDS.nl.billion], [1e6, WORDS.nl.million]]) {
+    if (n >= size) {
+      parts.push(`${dutchCardinal(Math.floor(n / size))} ${word}`);
+      n %= size;
+    }
+  }
+  if (n >= 1000) {
+    const thousands = Math.floor(n / 1000);
+    parts.push(`${thousands === 1 ? '' : dutchBelow1000(thousands)}duizend`);
+    n %= 1000;
+  }
+  if (n > 0) parts.push(dutchBelow1000(n));
+  return parts.join(' ');
+}
+
+function englishBelow1000(n) {
+  const { units, tens } = WORDS.en;
+  const parts = [];
+  if (n >= 100) {
+    parts.push(`${units[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+  }
+  if (n >= 20) parts.push(n % 10 ? `${tens[Math.floor(n / 10)]}-${units[n % 10]}` : tens[n / 10]);
+  else if (n > 0 || parts.length === 0) parts.push(units[n]);
+  return parts.join(' ');
+}
+
+function englishCardinal(n) {
+  if (n < 1000) return englishBelow1000(n);
+  const parts = [];
+  for (const [size, word] of [[1e9, WORDS.en.billion], [1e6, WORDS.en.million], [1e3, 'thousand']]) {
+    if (n >= size) {
+      parts.push(`${englishBelow1000(Math.floor(n / size))} ${word}`);
+      n %= size;
+    }
+  }
+  if (n > 0) parts.push(englishBelow1000(n));
+  return parts.join(' ');
+}
+
+/**
+ * A non-negative integer as words ("tweeëntwintig", "twenty-two"); digit by digit when huge.
+ */
+export function cardinal(n, language) {
+  if (n > MAX_CARDINAL) return digits(String(n), language);
+  return language === 'en' ? englishCardinal(n) : dutchCardinal(n);
+}
+
+function digits(text, language) {
+  return [...text].map((d) => WORDS[language].units[Number(d)]).join(' ');
+}
+
+// === Ordinals ===
+
+const DUTCH_ORDINALS = { 1: 'eerste', 3: 'derde', 8: 'achtste' };
+const ENGLISH_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+export function ordinal(n, language) {
+  if (language === 'en') {
+    return englishCardinal(n).replace(/(\w+)$/, (word) => ENGLISH_ORDINALS[word]
+      || (word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`));
+  }
+  const rest = n % 100;
+  if (n > 100 && rest > 0 && rest < 20) return `${dutchCardinal(n - rest)}${ordinal(rest, 'nl')}`;
+  if (DUTCH_ORDINALS[n]) return DUTCH_ORDINALS[n];
+  return `${dutchCardinal(n)}${n < 20 ? 'de' : 'ste'}`;
+}
+
+// === Years, dates and times ===
+
+function year(n, language) {
+  if (language === 'en') {
+    if (n < 1100 || n > 2099 || (n >= 2000 && n < 2010)) return englishCardinal(n);
+    const rest = n % 100;
+    const century = englishBelow1000(Math.floor(n / 100));
+    if (rest === 0) return `${century} hundred`;
+    return `${century} ${rest < 10 ? `oh ${WORDS.en.units[rest]}` : englishBelow1000(rest)}`;
+  }
+  // "negentienhonderdvijfentachtig", but "tweeduizend vijfentwintig"
+  if (n >= 1100 && n < 2000 && n % 1000 >= 100) {
+    return `${dutchBelow100(Math.floor(n / 100))}honderd${n % 100 ? dutchBelow100(n % 100) : ''}`;
+  }
+  return dutchCardinal(n);
+}
+
+function date(day, month, yearNumber, language) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const name = WORDS[language].months[month - 1];
+  const yearWords = yearNumber ? year(yearNumber, language) : '';
+  if (language === 'en') return `${name} ${ordinal(day, 'en')}${yearWords ? `, ${yearWords}` : ''}`;
+  return `${dutchCardinal(day)} ${name}${yearWords ? ` ${yearWords}` : ''}`;
+}
+
+function time(hours, minutes, language) {
+  if (language === 'en') {
+    if (minutes === 0) return hours > 12 ? `${englishCardinal(hours)} hundred` : `${englishCardinal(hours)} o'clock`;
+    return `${englishCardinal(hours)} ${minutes < 10 ? `oh ${WORDS.en.units[minutes]}` : englishCardinal(minutes)}`;
+  }
+  return `${dutchCardinal(hours)} uur${minutes ? ` ${dutchCardinal(minutes)}` : ''}`;
+}
+
+// === Decimal numbers ===
+
+/**
+ * Split a written number into integer and fraction digits. Returns null for things like
+ * version numbers or IP addresses.
+ */
+function parseNumber(text) {
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimal = null;
+  let group = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? '.' : ',';
+    group = decimal === '.' ? ',' : '.';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const groups = text.split(separator);
+    if (groups[0] !== '0' && groups[0].length <= 3 && groups.slice(1).every((g) => g.length === 3)) {
+      group = separator;
+    } else if (groups.length === 2) {
+      decimal = separator;
+    } else {
+      return null;
+    }
+  }
+
+  const [integer, fraction = ''] = decimal ? text.split(decimal) : [text];
+  const parts = group ? integer.split(group) : [integer];
+  if (parts.length > 1 && (parts[0].length > 3 || parts.slice(1).some((p) => p.length !== 3))) return null;
+  if (group && fraction.includes(group)) return null;
+  return { integer: Number(parts.join('')), fraction };
+}
+
+// Phone numbers, postcodes, PINs, account numbers: a leading zero or a long run of digits.
+// Also the short emergency and helpline numbers (112, 911, 999, 113, 144, 116xxx), which
+// nobody reads as "honderdtwaalf".
+const DIGIT_BY_DIGIT = /^(?:0\d+|\d{8,}|112|113|144|911|999|116\d{3})$/;
+
+function number(text, language) {
+  if (DIGIT_BY_DIGIT.test(text)) return digits(text, language);
+  const parsed = parseNumber(text);
+  if (!parsed) return text.split(/[.,]/).map((part) => cardinal(Number(part), language)).join(language === 'en' ? ' dot ' : ' punt ');
+  const words = cardinal(parsed.integer, language);
+  if (!parsed.fraction) return words;
+  // "drie komma vijftien", "three point one five"
+  const fraction = language === 'en' || parsed.fraction.startsWith('0') || parsed.fraction.length > 2
+    ? digits(parsed.fraction, language)
+    : cardinal(Number(parsed.fraction), language);
+  return `${words} ${WORDS[language].point} ${fraction}`;
+}
+
+function amount(symbol, text, scale, language) {
+  const [one, many, minorOne, minorMany] = CURRENCIES[symbol][language];
+  const parsed = parseNumber(text.replace(/[.,]-$/, ''));
+  if (!parsed) return null;
+  if (scale) return `${number(text, language)} ${WORDS[language][SCALE_WORDS[scale.toLowerCase()]]} ${many}`;
+
+  const cents = parsed.fraction ? Number(parsed.fraction.padEnd(2, '0').slice(0, 2)) : 0;
+  const major = `${cardinal(parsed.integer, language)} ${parsed.integer === 1 ? one : many}`;
+  const minor = `${cardinal(cents, language)} ${cents === 1 ? minorOne : minorMany}`;
+  if (!cents) return major;
+  if (!parsed.integer) return minor;
+  // Dutch says "twaalf euro vijftig"; English "twelve euros and fifty cents"
+  return language === 'en' ? `${major} and ${minor}` : `${major} ${cardinal(cents, language)}`;
+}
+
+// === Text ===
+
+const NUMBER = String.raw`\d+(?:[.,]\d+)*`;
+const NOT_WORD_BEFORE = String.raw`(?<![\p{L}\p{N}])`;
+const NOT_WORD_AFTER = String.raw`(?![\p{L}\p{N}])`;
+
+const monthPattern = (language) => WORDS[language].months.join('|');
+
+/**
+ * Write out the numbers in `text`. Languages other than nl/en are returned unchanged.
+ */
+export function verbalizeNumbers(text, language) {
+  if (!WORDS[language]) return text;
+  const w = WORDS[language];
+  const re = (source, flags = 'gu') => new RegExp(source, flags);
+
+  return text
+    // Dates: 2025-03-14, 14-03-2025 / 14/3/2025 (Dutch), 3/14/2025 (English, unless the day comes first)
+    .replace(re(`${NOT_WORD_BEFORE}(\\d{4})-(\\d{1,2})-(\\d{1,2})${NOT_WORD_AFTER}`), (match, y, m, d) => date(Number(d), Number(m), Number(y), language) ?? match)
+    .replace(re(`${NOT_WORD_BEFORE}(\\d{1,2})[-/](\\d{1,2})[-/](\\d{4})${NOT_WORD_AFTER}`), (match, a, b, y) => {
+      const [day, month] = language === 'en' && Number(a) <= 12 ? [Number(b), Number(a)] : [Number(a), Number(b)];
+      return date(day, month, Number(y), language) ?? match;
+    })
+    // "March 14" → "March fourteenth" (Dutch "14 maart" reads fine as a cardinal)
+    .replace(re(`\\b(${monthPattern('en')})\\s+(\\d{1,2})(?:st|nd|rd|th)?${NOT_WORD_AFTER}`), (match, month, d) => (
+      language === 'en' && Number(d) >= 1 && Number(d) <= 31 ? `${month} ${ordinal(Number(d), 'en')}` : match
+    ))
+    .replace(re(`${NOT_WORD_BEFORE}(\\d{1,2})\\s+(${monthPattern(language)})\\s+(\\d{4})${NOT_WORD_AFTER}`, 'giu'), (match, d, month, y) => (
+      `${d} ${month} ${year(Number(y), language)}`
+    ))
+    // Times: 14:30, and "14.30 uur" in Dutch
+    .replace(re(`${NOT_WORD_BEFORE}([01]?\\d|2[0-3]):([0-5]\\d)${NOT_WORD_AFTER}`), (match, h, m) => time(Number(h), Number(m), language))
+    .replace(re(`${NOT_WORD_BEFORE}([01]?\\d|2[0-3])\\.([0-5]\\d) uur\\b`), (match, h, m) => (
+      language === 'nl' ? time(Number(h), Number(m), 'nl') : match
+    ))
+    // Money: €12,50 / € 1,5 miljoen / $3.99 / 12,50 euro / EUR 10
+    .replace(re(`([€$£])\\s?(${NUMBER}(?:[.,]-)?)(?:\\s?(${Object.keys(SCALE_WORDS).join('|')})\\b)?`, 'giu'), (match, symbol, value, scale) => (
+      amount(symbol, value, scale, language) ?? match
+    ))
+    .replace(re(`\\b(EUR|USD|GBP)\\s?(${NUMBER})${NOT_WORD_AFTER}`), (match, code, value) => amount(CURRENCY_CODES[code], value, null, language) ?? match)
+    .replace(re(`${NOT_WORD_BEFORE}(${NUMBER}(?:[.,]-)?)\\s?(euro|EUR|USD|GBP)\\b`), (match, value, code) => (
+      amount(CURRENCY_CODES[code], value, null, language) ?? match
+    ))
+    // Percentages and temperatures
+    .replace(re(`${NOT_WORD_BEFORE}(${NUMBER})\\s?%`), (match, value) => `${number(value, language)} ${w.percent}`)
+    .replace(re(`${NOT_WORD_BEFORE}(-?)(${NUMBER})\\s?°\\s?([CF])?${NOT_WORD_AFTER}`), (match, minus, value, unit) => (
+      `${minus ? `${w.minus} ` : ''}${number(value, language)} ${w.degrees}${unit === 'C' ? ' Celsius' : unit === 'F' ? ' Fahrenheit' : ''}`
+    ))
+    // Ordinals: 1e, 2de, 21ste / 1st, 2nd, 3rd, 4th
+    .replace(re(`${NOT_WORD_BEFORE}(\\d+)(${language === 'en' ? 'st|nd|rd|th' : 'ste|de|e'})${NOT_WORD_AFTER}`), (match, n) => ordinal(Number(n), language))
+    // Years (1100–2099) and all other numbers; a minus sign only at the start of a word
+    .replace(re(`(^|\\s)-(?=\\d)`), `$1${w.minus} `)
+    .replace(re(`${NOT_WORD_BEFORE}(${NUMBER})${NOT_WORD_AFTER}`), (match, value) => (
+      /^(1[1-9]|20)\d\d$/.test(value) ? year(Number(value), language) : number(value, language)
+    ))
+    .replace(/\s&\s/g, ` ${w.and} `);
+}
+
@@ -0,0 +1,138 @@
+/**
+ * Streaming sentence segmentation for the LLM output, so each sentence can go to TTS as soon
+ * as it is complete.
+ *
+ * A period only ends a sentence when whitespace follows it, so decimals (3.5), times (12.30),
+ * URLs and e-mail addresses stay whole. Known Dutch/English abbreviations ("bijv.", "dr.",
+ * "e.g."), initials ("J. Jansen") and list numbers ("1. Koop melk") don't end a sentence
+ * either, nor does a period followed by a lowercase word. Line breaks always do (list items,
+ * headings), except inside a ``` code block, which is kept together.
+ */
+
+// Never end a sentence (unless listed in SENTENCE_FINAL and the next word is capitalized)
+const ABBREVIATIONS = {
+  nl: ['bijv', 'bv', 'ca', 'dhr', 'mevr', 'mw', 'dr', 'drs', 'ir', 'ing', 'mr', 'prof', 'jl', 'vgl',
+    'zgn', 'evt', 'incl', 'excl', 'resp', 'ong', 'vnl', 'mln', 'mld', 'st', 'enz', 'etc', 'vs'],
+  en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'approx', 'inc', 'ltd', 'co',
+    'corp', 'dept', 'est', 'mt', 'ave', 'blvd']
+};
+
+// Abbreviations that often end a sentence too: a capital after them starts a new one
+const SENTENCE_FINAL = new Set(['enz', 'etc', 'inc', 'ltd', 'co', 'corp']);
+
+// Only abbreviations when a number follows ("nr. 5", "15 jan. 2025", "No. 3")
+const NUMBER_PREFIXES = {
+  nl: ['nr', 'nrs', 'blz', 'pag', 'hfdst', 'hst', 'art', 'jan', 'feb', 'mrt', 'apr', 'jun', 'jul', 'aug', 'sep',
+    'sept', 'okt', 'nov', 'dec'],
+  en: ['no', 'nos', 'p', 'pp', 'fig', 'vol', 'art', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug',
+    'sep', 'sept', 'oct', 'nov', 'dec']
+};
+
+const TERMINATORS = '.!?…';
+// Closing quotes, brackets and markdown emphasis that belong to the sentence before them
+const CLOSERS = '"\'”’»)]*_';
+
+function wordsFor(table, language) {
+  return new Set(table[language] || Object.values(table).flat());
+}
+
+export class SentenceSegmenter {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.language] - 'nl' or 'en'; other languages use both lists
+   */
+  constructor({ language } = {}) {
+    this.abbreviations = wordsFor(ABBREVIATIONS, language);
+    this.numberPrefixes = wordsFor(NUMBER_PREFIXES, language);
+    this.buffer = '';
+  }
+
+  /**
+   * Add streamed text; returns the sentences it completed.
+   */
+  push(text) {
+    this.buffer += text;
+    return this.drain(false);
+  }
+
+  /**
+   * End of the stream (or of a tool-call round): everything left is the last sentence.
+   */
+  flush() {
+    return this.drain(true);
+  }
+
+  drain(final) {
+    const text = this.buffer;
+    const sentences = [];
+    let start = 0;
+    let inCode = false;
+
+    const emit = (end, next) => {
+      const sentence = text.slice(start, end).trim();
+      if (sentence) sentences.push(sentence);
+      start = next;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      if (text.startsWith('```', i)) {
+        inCode = !inCode;
+        i += 2;
+        continue;
+      }
+      if (inCode) continue;
+
+      if (text[i] === '\n') {
+        emit(i, i + 1);
+        continue;
+      }
+      if (!TERMINATORS.includes(text[i])) continue;
+
+      let end = i;
+      while (end < text.length && TERMINATORS.includes(text[end])) end++;
+      while (end < text.length && CLOSERS.includes(text[end])) end++;
+      if (end === text.length) break; // need to see what follows
+      if (!/\s/.test(text[end])) {
+        i = end - 1;
+        continue;
+      }
+
+      let next = end;
+      while (next < text.length && /[ \t]/.test(text[next])) next++;
+      if (next === text.length) break;
+      // A line break ends the sentence anyway (handled above)
+      if (text[next] !== '\n' && text.slice(i, end).replace(/[^.!?…]/g, '') === '.'
+        && !this.endsSentence(text.slice(start, i), text[next])) {
+        i = end - 1;
+        continue;
+      }
+
+      emit(end, next);
+      i = next - 1;
+    }
+
+    if (final && !inCode) emit(text.length, text.length);
+    this.buffer = text.slice(start);
+    return sentences;
+  }
+
+  /**
+   * Does a single period after `before` end the sentence, given the next character?
+   */
+  endsSentence(before, nextChar) {
+    const word = /(\S+)$/.exec(before)?.[1].replace(/^[("'“‘«*_[]+/, '') || '';
+    const lower = word.toLowerCase();
+    const nextIsLower = /\p{Ll}/u.test(nextChar);
+    const nextIsUpper = /\p{Lu}/u.test(nextChar);
+    const nextIsDigit = /\d/.test(nextChar);
+
+    if (nextIsLower) return false;
+    if (this.abbreviations.has(lower)) return SENTENCE_FINAL.has(lower) && nextIsUpper;
+    if (this.numberPrefixes.has(lower)) return !nextIsDigit;
+    // Initials and dotted abbreviations: "J.", "e.g.", "d.w.z.", "o.a."
+    if (/^\p{Lu}$/u.test(word) || /^(\p{L}\.)+\p{L}$/u.test(word)) return false;
+    // A list number at the start of a line: "1. Koop melk"
+    if (/^\d+$/.test(word) && /(^|\n)[ \t]*$/.test(before.slice(0, before.length - word.length))) return false;
+    return true;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Manage API tokens for the Donna voice server.
+ *
+ *   npm run tokens -- issue <device> [--admin] → print a new device token (shown once);
+ *                                                --admin allows the admin routes (/tts-cache)
+ *   npm run tokens -- list                     → list tokens (no secrets)
+ *   npm run tokens -- revoke <id|device>       → revoke a token, or every token of a device
+ *   npm run tokens -- sign <id> [ttlSeconds]   → mint a short-lived signed token (needs AUTH_SECRET)
+ *
+ * Tokens live in $DATA_DIR/tokens.json (default server/data). The running server picks up
+ * changes without a restart.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { TokenStore, signToken } from './auth.js';
+
+config();
+
+const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const store = new TokenStore(path.join(DATA_DIR, 'tokens.json'));
+
+const [command, arg, option] = process.argv.slice(2);
+
+function usage() {
+  console.error('Usage: node tokens.js issue <device> [--admin] | list | revoke <id|device> | sign <id> [ttlSeconds]');
+  process.exit(1);
+}
+
+switch (command) {
+  case 'issue': {
+    if (!arg || (option && option !== '--admin')) usage();
+    const { id, device, admin, token } = store.issue(arg, { admin: option === '--admin' });
+    console.log(`✅ Issued ${admin ? 'admin ' : ''}token ${id} for "${device}" — store it now, it is not shown again:`);
+    console.log(token);
+    break;
+  }
+
+  case 'list': {
+    const tokens = store.list();
+    if (tokens.length === 0) console.log('No tokens issued');
+    for (const t of tokens) {
+      console.log(`${t.id}  ${t.device.padEnd(20)}  created ${t.createdAt}${t.admin ? '  ADMIN' : ''}${t.revokedAt ? `  REVOKED ${t.revokedAt}` : ''}`);
+    }
+    break;
+  }
+
+  case 'revoke': {
+    if (!arg) usage();
+    const revoked = store.revoke(arg);
+    if (revoked.length === 0) {
+      console.error(`❌ No active token matches "${arg}"`);
+      process.exit(1);
+    }
+    console.log(`✅ Revoked ${revoked.join(', ')}`);
+    break;
+  }
+
+  case 'sign': {
+    if (!arg) usage();
+    if (!process.env.AUTH_SECRET) {
+      console.error('❌ AUTH_SECRET not set');
+      process.exit(1);
+    }
+    const entry = store.active(arg);
+    if (!entry) {
+      console.error(`❌ No active token with id "${arg}"`);
+      process.exit(1);
+    }
+    const ttl = parseInt(option || '3600', 10);
+    console.log(signToken(process.env.AUTH_SECRET, { tokenId: entry.id, device: entry.device }, ttl));
+    break;
+  }
+
+  default:
+    usage();
+}
@@ -0,0 +1,143 @@
+/**
+ * Server-side tools the LLM can call mid-turn (OpenAI-style function calling).
+ *
+ * A tool is `{ name, description, parameters, acknowledgement?, handler }`: `parameters` is a
+ * JSON schema for the arguments and `handler(args, context)` an async function whose result
+ * is sent back to the model as JSON. `acknowledgement` maps a language to what to say while
+ * the tool runs, e.g. `{ nl: 'Ik zet een timer.', en: "I'll set a timer." }`.
+ *
+ * `context` is per connection: { connectionId, signal, language, announce(text, language),
+ * state } — `language` is the current turn's, `announce` speaks to the user later (timers),
+ * `state` is a scratch object tools can keep per-connection data in.
+ *
+ * Tools come in sets: a factory returns `{ tools, dispose? }`, where `dispose(state)` releases
+ * what the set keeps in a connection's state (pending timers etc.) when the connection closes.
+ */
+
+import { validate } from '../schema.js';
+import { createTimeTools } from './time.js';
+import { createTimerTools } from './timers.js';
+import { createNoteTools } from './notes.js';
+
+const DEFAULT_ACKNOWLEDGEMENTS = {
+  nl: 'Momentje.',
+  en: 'One moment.',
+  de: 'Einen Moment.',
+  fr: 'Un instant.',
+  es: 'Un momento.'
+};
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    this.disposers = [];
+  }
+
+  register(tool) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) throw new Error(`Invalid tool name: ${tool.name}`);
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Register a tool set (`{ tools, dispose? }`).
+   */
+  registerSet({ tools, dispose }) {
+    for (const tool of tools) this.register(tool);
+    if (dispose) this.disposers.push(dispose);
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  get names() {
+    return [...this.tools.keys()];
+  }
+
+  /**
+   * The `tools` array for a chat-completions request.
+   */
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * What to say while these tools run, in the turn's language (the first tool that defines
+   * one wins). Unknown languages — or none yet, with `auto` — fall back to Dutch.
+   */
+  acknowledgement(names, language) {
+    const lang = DEFAULT_ACKNOWLEDGEMENTS[language] ? language : 'nl';
+    for (const name of names) {
+      const text = this.tools.get(name)?.acknowledgement?.[lang];
+      if (text) return text;
+    }
+    return DEFAULT_ACKNOWLEDGEMENTS[lang];
+  }
+
+  /**
+   * Run one tool call from the model. Never throws: unknown tools, bad arguments and handler
+   * errors are reported back to the model as `{ error }` so it can recover in its answer.
+   *
+   * @param {{ id: string, function: { name: string, arguments: string } }} call
+   * @returns {Promise<string>} JSON result for the `tool` message
+   */
+  async execute(call, context) {
+    const tool = this.tools.get(call.function.name);
+    if (!tool) return JSON.stringify({ error: `Unknown tool: ${call.function.name}` });
+
+    let args;
+    try {
+      args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch {
+      return JSON.stringify({ error: 'Arguments are not valid JSON' });
+    }
+
+    const errors = validate(tool.parameters, args);
+    if (errors.length > 0) return JSON.stringify({ error: `Invalid arguments: ${errors.join('; ')}` });
+
+    try {
+      const result = await tool.handler(args, context);
+      return JSON.stringify(result ?? { ok: true });
+    } catch (error) {
+      return JSON.stringify({ error: error.message });
+    }
+  }
+
+  /**
+   * Release a closed connection's tool state (pending timers etc.), set by set.
+   */
+  dispose(state) {
+    for (const dispose of this.disposers) dispose(state);
+  }
+}
+
+const BUILTIN_TOOLS = {
+  time: createTimeTools,
+  timers: createTimerTools,
+  notes: createNoteTools
+};
+
+export const TOOL_SETS = Object.keys(BUILTIN_TOOLS);
+
+/**
+ * Registry with the enabled built-in tool sets.
+ *
+ * @param {string[]} sets - e.g. ['time', 'timers', 'notes']
+ * @param {object} options
+ * @param {string} options.timeZone   - IANA zone for clocks and reminders
+ * @param {string} options.notesFile  - where the notes tools read and write
+ */
+export function createToolRegistry(sets, options) {
+  const registry = new ToolRegistry();
+  for (const set of sets) {
+    const factory = BUILTIN_TOOLS[set];
+    if (!factory) throw new Error(`Unknown tool set: ${set} (expected one of ${TOOL_SETS.join(', ')})`);
+    registry.registerSet(factory(options));
+  }
+  return registry;
+}
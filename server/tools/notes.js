@@ -0,0 +1,63 @@
+/**
+ * Notes in a local Markdown file — one "- <date> <text>" line per note.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export function createNoteTools({ notesFile, timeZone }) {
+  const readNotes = async () => {
+    try {
+      const content = await fs.readFile(notesFile, 'utf8');
+      return content.split('\n').filter((line) => line.startsWith('- ')).map((line) => line.slice(2));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    tools: [
+      {
+        name: 'add_note',
+        description: 'Save a short note for the user.',
+        acknowledgement: {
+          nl: 'Ik schrijf het op.',
+          en: "I'll write that down.",
+          de: 'Ich schreibe es auf.',
+          fr: 'Je le note.',
+          es: 'Lo apunto.'
+        },
+        parameters: {
+          type: 'object',
+          properties: { text: { type: 'string', minLength: 1, maxLength: 1000 } },
+          required: ['text'],
+          additionalProperties: false
+        },
+        handler: async ({ text }) => {
+          const stamp = new Intl.DateTimeFormat('sv-SE', { timeZone, dateStyle: 'short', timeStyle: 'short' }).format(new Date());
+          await fs.mkdir(path.dirname(notesFile), { recursive: true });
+          await fs.appendFile(notesFile, `- ${stamp} ${text.replace(/\s*\n\s*/g, ' ')}\n`);
+          return { saved: true };
+        }
+      },
+      {
+        name: 'read_notes',
+        description: 'Read the most recent notes (newest last).',
+        acknowledgement: {
+          nl: 'Even in je notities kijken.',
+          en: 'Let me check your notes.',
+          de: 'Ich schaue kurz in deine Notizen.',
+          fr: 'Je regarde tes notes.',
+          es: 'Miro tus notas.'
+        },
+        parameters: {
+          type: 'object',
+          properties: { limit: { type: 'integer', minimum: 1, maximum: 50 } },
+          additionalProperties: false
+        },
+        handler: async ({ limit = 10 }) => ({ notes: (await readNotes()).slice(-limit) })
+      }
+    ]
+  };
+}
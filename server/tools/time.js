@@ -0,0 +1,40 @@
+/**
+ * Clock tool — the model has no idea what time it is otherwise.
+ */
+
+/**
+ * Wall-clock parts of `date` in `timeZone` ({ year, month, day, hour, minute, second }).
+ */
+export function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.filter((p) => p.type !== 'literal').map((p) => [p.type, Number(p.value)]));
+}
+
+export function createTimeTools({ timeZone }) {
+  return {
+    tools: [
+      {
+        name: 'get_current_time',
+        description: 'Get the current local date and time.',
+        parameters: { type: 'object', properties: {}, additionalProperties: false },
+        handler: async () => {
+          const now = new Date();
+          return {
+            iso: now.toISOString(),
+            local: new Intl.DateTimeFormat('nl-NL', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(now),
+            timeZone
+          };
+        }
+      }
+    ]
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Timers and reminders. They live as long as the connection: when one fires, Donna says so
+ * through `context.announce`; disconnecting cancels everything that is still pending.
+ */
+
+import { zonedParts } from './time.js';
+
+const MAX_DELAY_MS = 24 * 60 * 60 * 1000;
+
+function timersOf(context) {
+  if (!context.state.timers) context.state.timers = new Map();
+  return context.state.timers;
+}
+
+// What Donna says when a timer or reminder goes off, per language
+const MESSAGES = {
+  nl: {
+    timer: (label) => (label ? `Je timer voor ${label} is afgelopen.` : 'Je timer is afgelopen.'),
+    reminder: (text) => `Herinnering: ${text}`
+  },
+  en: {
+    timer: (label) => (label ? `Your timer for ${label} is done.` : 'Your timer is done.'),
+    reminder: (text) => `Reminder: ${text}`
+  },
+  de: {
+    timer: (label) => (label ? `Dein Timer für ${label} ist abgelaufen.` : 'Dein Timer ist abgelaufen.'),
+    reminder: (text) => `Erinnerung: ${text}`
+  },
+  fr: {
+    timer: (label) => (label ? `Ton minuteur pour ${label} est terminé.` : 'Ton minuteur est terminé.'),
+    reminder: (text) => `Rappel : ${text}`
+  },
+  es: {
+    timer: (label) => (label ? `Tu temporizador de ${label} ha terminado.` : 'Tu temporizador ha terminado.'),
+    reminder: (text) => `Recordatorio: ${text}`
+  }
+};
+
+/**
+ * Start a timer or reminder. It is announced in the language of the turn that set it, not of
+ * whatever turn happens to be current when it goes off.
+ */
+function schedule(context, { kind, label, delayMs }) {
+  const timers = timersOf(context);
+  const id = String((context.state.nextTimerId = (context.state.nextTimerId || 0) + 1));
+  const dueAt = new Date(Date.now() + delayMs);
+  const language = MESSAGES[context.language] ? context.language : 'nl';
+  const message = MESSAGES[language][kind](label);
+  const timeout = setTimeout(() => {
+    timers.delete(id);
+    context.announce(message, language);
+  }, delayMs);
+  timeout.unref();
+  timers.set(id, { id, kind, label, dueAt, timeout });
+  return { id, kind, label, dueAt: dueAt.toISOString() };
+}
+
+/**
+ * Milliseconds until the next "HH:MM" in `timeZone` (tomorrow if that time has passed today).
+ */
+function msUntilClockTime(hhmm, timeZone) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(hhmm);
+  if (!match) throw new Error('`at` must be a time like "14:30"');
+  const now = zonedParts(new Date(), timeZone);
+  let minutes = Number(match[1]) * 60 + Number(match[2]) - (now.hour * 60 + now.minute);
+  if (minutes <= 0) minutes += 24 * 60;
+  return minutes * 60000 - now.second * 1000;
+}
+
+export function createTimerTools({ timeZone }) {
+  return {
+    tools: [
+      {
+        name: 'set_timer',
+        description: 'Start a countdown timer. Donna announces it when it goes off.',
+        acknowledgement: {
+          nl: 'Ik zet een timer.',
+          en: "I'll set a timer.",
+          de: 'Ich stelle einen Timer.',
+          fr: 'Je lance un minuteur.',
+          es: 'Pongo un temporizador.'
+        },
+        parameters: {
+          type: 'object',
+          properties: {
+            seconds: { type: 'integer', minimum: 1, maximum: MAX_DELAY_MS / 1000, description: 'Duration in seconds' },
+            label: { type: 'string', maxLength: 100, description: 'What the timer is for, e.g. "pasta"' }
+          },
+          required: ['seconds'],
+          additionalProperties: false
+        },
+        handler: async ({ seconds, label }, context) => schedule(context, {
+          kind: 'timer',
+          label: label || null,
+          delayMs: seconds * 1000
+        })
+      },
+      {
+        name: 'set_reminder',
+        description: 'Remind the user of something, either at a clock time today/tomorrow or after a number of minutes.',
+        acknowledgement: {
+          nl: 'Ik zet een herinnering.',
+          en: "I'll set a reminder.",
+          de: 'Ich lege eine Erinnerung an.',
+          fr: 'Je crée un rappel.',
+          es: 'Creo un recordatorio.'
+        },
+        parameters: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', minLength: 1, maxLength: 200, description: 'What to remind the user of' },
+            at: { type: 'string', description: 'Local clock time "HH:MM"' },
+            in_minutes: { type: 'integer', minimum: 1, maximum: MAX_DELAY_MS / 60000 }
+          },
+          required: ['text'],
+          additionalProperties: false
+        },
+        handler: async ({ text, at, in_minutes: inMinutes }, context) => {
+          if (!at && !inMinutes) throw new Error('Give either `at` or `in_minutes`');
+          return schedule(context, {
+            kind: 'reminder',
+            label: text,
+            delayMs: at ? msUntilClockTime(at, timeZone) : inMinutes * 60000
+          });
+        }
+      },
+      {
+        name: 'list_timers',
+        description: 'List the timers and reminders that are still pending.',
+        parameters: { type: 'object', properties: {}, additionalProperties: false },
+        handler: async (args, context) => ({
+          timers: [...timersOf(context).values()].map(({ id, kind, label, dueAt }) => ({
+            id,
+            kind,
+            label,
+            dueAt: dueAt.toISOString(),
+            remainingSeconds: Math.max(0, Math.round((dueAt - Date.now()) / 1000))
+          }))
+        })
+      },
+      {
+        name: 'cancel_timer',
+        description: 'Cancel a pending timer or reminder by id (see list_timers).',
+        parameters: {
+          type: 'object',
+          properties: { id: { type: 'string' } },
+          required: ['id'],
+          additionalProperties: false
+        },
+        handler: async ({ id }, context) => {
+          const timer = timersOf(context).get(id);
+          if (!timer) throw new Error(`No pending timer with id ${id}`);
+          clearTimeout(timer.timeout);
+          timersOf(context).delete(id);
+          return { cancelled: id };
+        }
+      }
+    ],
+
+    // Connection closed: nothing may fire after it
+    dispose: (state) => {
+      for (const timer of state.timers?.values() || []) clearTimeout(timer.timeout);
+      state.timers?.clear();
+    }
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Content-addressed on-disk cache for synthesized speech.
+ *
+ * The key is a hash of everything that changes the audio: provider, text, voice, model,
+ * voice settings and sample rate. Each entry is one raw PCM file (`<key>.pcm`, S16LE mono at
+ * the provider's native rate); `index.json` keeps the metadata used for listing and for
+ * least-recently-used eviction once the cache grows past `maxBytes`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../logger.js';
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+const INDEX_SAVE_DELAY_MS = 1000;
+
+export function isValidCacheKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+// JSON with sorted object keys, so equal voice settings always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export class TTSCache {
+  /**
+   * @param {object} options
+   * @param {string} options.dir       - cache directory
+   * @param {number} options.maxBytes  - total audio size before the least recently used entries go
+   */
+  constructor({ dir, maxBytes }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key → metadata, least recently used first
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.saveTimer = null;
+    this.writeChain = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  /**
+   * @param {{ provider: string, text: string, voice?: string, model?: string, voiceSettings?: object, sampleRate: number }} params
+   */
+  static key(params) {
+    return crypto.createHash('sha256').update(stableStringify(params)).digest('hex');
+  }
+
+  filePath(key) {
+    if (!isValidCacheKey(key)) throw new Error(`Invalid cache key: ${key}`);
+    return path.join(this.dir, `${key}.pcm`);
+  }
+
+  // Read the index and drop whatever doesn't match the files on disk (crash mid-write, manual cleanup)
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+    let index = {};
+    try {
+      index = JSON.parse(await fs.readFile(path.join(this.dir, 'index.json'), 'utf8')).entries || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('⚠️ TTS cache index unreadable, starting empty', { error });
+    }
+
+    const names = await fs.readdir(this.dir);
+    const files = new Set(names.filter((f) => f.endsWith('.pcm')));
+    const sorted = Object.entries(index)
+      .filter(([key]) => files.has(`${key}.pcm`))
+      .sort(([, a], [, b]) => a.lastUsed.localeCompare(b.lastUsed));
+    for (const [key, entry] of sorted) {
+      this.entries.set(key, entry);
+      this.bytes += entry.bytes;
+      files.delete(`${key}.pcm`);
+    }
+    const orphans = [...files, ...names.filter((f) => f.endsWith('.tmp'))];
+    await Promise.all(orphans.map((f) => fs.unlink(path.join(this.dir, f)).catch(() => {})));
+    await this.evict();
+  }
+
+  /**
+   * Cached audio for `key`, or null. A hit makes the entry the most recently used.
+   */
+  async get(key) {
+    await this.ready;
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+    let pcm;
+    try {
+      pcm = await fs.readFile(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.forget(key);
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, { ...entry, hits: entry.hits + 1, lastUsed: new Date().toISOString() });
+    this.scheduleSave();
+    return pcm;
+  }
+
+  /**
+   * Store audio for `key`. `meta` (text, provider, voice, ...) is kept for the admin listing.
+   */
+  async set(key, meta, pcm) {
+    await this.ready;
+    if (pcm.length === 0 || pcm.length > this.maxBytes) return;
+    const file = this.filePath(key);
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`; // concurrent writes of one key each get their own
+    await fs.writeFile(tmp, pcm);
+    await fs.rename(tmp, file);
+
+    this.forget(key);
+    const now = new Date().toISOString();
+    this.entries.set(key, { ...meta, bytes: pcm.length, hits: 0, createdAt: now, lastUsed: now });
+    this.bytes += pcm.length;
+    await this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Metadata of a cached entry (without touching its LRU position), or null.
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry ? { key, ...entry } : null;
+  }
+
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+
+  async remove(key) {
+    await this.ready;
+    if (!this.entries.has(key)) return false;
+    this.forget(key);
+    await fs.unlink(this.filePath(key)).catch(() => {});
+    this.scheduleSave();
+    return true;
+  }
+
+  async clear() {
+    await this.ready;
+    const keys = [...this.entries.keys()];
+    this.entries.clear();
+    this.bytes = 0;
+    await Promise.all(keys.map((key) => fs.unlink(this.filePath(key)).catch(() => {})));
+    this.scheduleSave();
+    return keys.length;
+  }
+
+  async evict() {
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.forget(key);
+      await fs.unlink(this.filePath(key)).catch(() => {});
+    }
+  }
+
+  stats() {
+    return { entries: this.entries.size, bytes: this.bytes, maxBytes: this.maxBytes, hits: this.hits, misses: this.misses };
+  }
+
+  /**
+   * Entries, most recently used first.
+   */
+  list(limit = 100) {
+    return [...this.entries].reverse().slice(0, limit).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  // Hits only touch `lastUsed`, so the index is written at most once per INDEX_SAVE_DELAY_MS
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.persist().catch((error) => logger.error('⚠️ TTS cache index not saved', { error }));
+    }, INDEX_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  persist() {
+    const snapshot = JSON.stringify({ entries: Object.fromEntries(this.entries) }, null, 2);
+    const file = path.join(this.dir, 'index.json');
+    const write = this.writeChain.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    });
+    // A failed write is the caller's to report; the next one still runs
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * ElevenLabs Text-to-Speech — streams raw PCM S16LE mono at one of ElevenLabs' PCM rates.
+ */
+
+import { fetchWithTimeout, retryAfterMs } from '../http.js';
+
+export const DEFAULT_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.8,
+  style: 0.4,
+  use_speaker_boost: true
+};
+
+export class ElevenLabsTTS {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey
+   * @param {string} options.voiceId
+   * @param {string} options.model
+   * @param {object} [options.voiceSettings]
+   * @param {string} [options.baseUrl='https://api.elevenlabs.io']
+   */
+  constructor({ apiKey, voiceId, model, voiceSettings = DEFAULT_VOICE_SETTINGS, baseUrl = 'https://api.elevenlabs.io' }) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.voiceId = voiceId;
+    this.model = model;
+    this.voiceSettings = voiceSettings;
+  }
+
+  get info() {
+    return { provider: 'ElevenLabs', model: this.model, voice: this.voiceId };
+  }
+
+  // Raw PCM output formats offered by the API (`output_format=pcm_<rate>`)
+  get sampleRates() {
+    return [16000, 22050, 24000, 44100];
+  }
+
+  /**
+   * Yields PCM chunks as they arrive from ElevenLabs instead of buffering the entire response.
+   * `overrides` may replace voice, model and voiceSettings, pick one of `sampleRates`, and
+   * carry an AbortSignal that cancels the request (and stops billing for the rest of it).
+   */
+  async *stream(text, overrides = {}) {
+    const voiceId = overrides.voice || this.voiceId;
+    const sampleRate = overrides.sampleRate || 16000;
+
+    // Request stream endpoint but ask ElevenLabs to return raw PCM.
+    // Per ElevenLabs docs, `output_format=pcm_16000` => PCM (S16LE) 16kHz.
+    const response = await fetchWithTimeout(
+      `${this.baseUrl}/v1/text-to-speech/${voiceId}/stream?output_format=pcm_${sampleRate}`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'audio/pcm',
+          'xi-api-key': this.apiKey
+        },
+        body: JSON.stringify({
+          text: text,
+          model_id: overrides.model || this.model,
+          voice_settings: overrides.voiceSettings || this.voiceSettings
+        }),
+        signal: overrides.signal
+      },
+      30000
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      // 429s carry statusCode/retryAfterMs so the TTS scheduler can back off and retry
+      throw Object.assign(new Error(`ElevenLabs error: ${response.status} - ${error}`), {
+        statusCode: response.status,
+        retryAfterMs: retryAfterMs(response)
+      });
+    }
+
+    const reader = response.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      yield Buffer.from(value);
+    }
+  }
+}
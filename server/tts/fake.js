@@ -0,0 +1,35 @@
+/**
+ * Deterministic fake Text-to-Speech for tests — no network, no API key.
+ *
+ * Produces a quiet 440 Hz tone whose length depends only on the text (`msPerChar`),
+ * delivered in fixed-size chunks like a streaming provider.
+ */
+
+const CHUNK_MS = 100;
+
+export class FakeTTS {
+  constructor({ msPerChar = 40 } = {}) {
+    this.msPerChar = msPerChar;
+  }
+
+  get info() {
+    return { provider: 'Fake', model: 'tone', voice: null };
+  }
+
+  get sampleRates() {
+    return null;
+  }
+
+  async *stream(text, { sampleRate = 16000, signal } = {}) {
+    const samples = Math.round(text.length * this.msPerChar * sampleRate / 1000);
+    const chunkBytes = sampleRate * CHUNK_MS / 1000 * 2;
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 2000), i * 2);
+    }
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+      signal?.throwIfAborted();
+      yield pcm.subarray(offset, offset + chunkBytes);
+    }
+  }
+}
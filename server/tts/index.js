@@ -0,0 +1,46 @@
+/**
+ * Text-to-Speech provider registry.
+ *
+ * Every provider exposes `info`, `sampleRates` (supported output rates, or null for any) and an
+ * async generator `stream(text, overrides)` that yields PCM S16LE mono chunks at
+ * `overrides.sampleRate` (default 16 kHz). Aborting `overrides.signal` must stop synthesis
+ * (close the request, kill the process) and make the generator throw. The default comes from
+ * TTS_PROVIDER; a session can pick another one with the `ttsProvider` setting.
+ */
+
+import { ElevenLabsTTS } from './elevenlabs.js';
+import { PiperTTS } from './piper.js';
+import { FakeTTS } from './fake.js';
+
+const FACTORIES = {
+  elevenlabs: (options) => new ElevenLabsTTS(options),
+  piper: (options) => new PiperTTS(options),
+  fake: (options) => new FakeTTS(options)
+};
+
+export const TTS_PROVIDERS = Object.keys(FACTORIES);
+
+/**
+ * Instantiate every provider that has the configuration it needs.
+ *
+ * @param {object} optionsByProvider - e.g. { elevenlabs: {...}, piper: {...} }; a missing or
+ *   null entry means the provider is not configured and won't be available.
+ * @returns {Map<string, object>}
+ */
+export function createTTSProviders(optionsByProvider) {
+  const providers = new Map();
+  for (const [name, options] of Object.entries(optionsByProvider)) {
+    if (options && FACTORIES[name]) providers.set(name, FACTORIES[name](options));
+  }
+  return providers;
+}
+
+/**
+ * Best native rate for a requested output rate: the lowest supported rate that is at least
+ * as high (so we only ever downsample), else the highest one available.
+ */
+export function pickSampleRate(provider, requested) {
+  const rates = provider.sampleRates;
+  if (!rates) return requested;
+  return rates.find((r) => r >= requested) || rates[rates.length - 1];
+}
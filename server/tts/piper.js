@@ -0,0 +1,94 @@
+/**
+ * Offline Text-to-Speech via Piper (https://github.com/rhasspy/piper), run as a subprocess.
+ *
+ * Piper writes raw PCM S16LE at the voice model's native rate (usually 22050 Hz) to stdout
+ * with `--output_raw`; this provider resamples it to whatever rate the pipeline asks for.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import { createResampler } from '../audio.js';
+
+export class PiperTTS {
+  /**
+   * @param {object} options
+   * @param {string} [options.command='piper']
+   * @param {string} options.model          - path to the .onnx voice
+   * @param {number} [options.sampleRate]   - model rate; read from <model>.json when omitted
+   * @param {number} [options.timeoutMs=30000]
+   */
+  constructor({ command = 'piper', model, sampleRate, timeoutMs = 30000 }) {
+    this.command = command;
+    this.model = model;
+    this.sampleRate = sampleRate || null;
+    this.timeoutMs = timeoutMs;
+    this.modelRates = new Map();
+  }
+
+  get info() {
+    return { provider: 'Piper', model: this.model, voice: null };
+  }
+
+  // Resampled locally, so any rate works
+  get sampleRates() {
+    return null;
+  }
+
+  modelSampleRate(model) {
+    if (model === this.model && this.sampleRate) return this.sampleRate;
+    if (!this.modelRates.has(model)) {
+      let rate = 22050;
+      try {
+        rate = JSON.parse(fs.readFileSync(`${model}.json`, 'utf8')).audio?.sample_rate || rate;
+      } catch (_) {
+        // No config next to the model — assume Piper's common default
+      }
+      this.modelRates.set(model, rate);
+    }
+    return this.modelRates.get(model);
+  }
+
+  /**
+   * Yields PCM chunks (16 kHz unless `overrides.sampleRate`) as Piper produces them.
+   * `overrides.model` may select another voice file; aborting `overrides.signal` kills Piper.
+   */
+  async *stream(text, overrides = {}) {
+    const model = overrides.model || this.model;
+    const resample = createResampler(this.modelSampleRate(model), overrides.sampleRate || 16000);
+
+    const child = spawn(this.command, ['--model', model, '--output_raw'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (d) => { stderr += d; });
+
+    const exited = new Promise((resolve, reject) => {
+      child.on('error', (error) => reject(new Error(`${this.command}: ${error.message}`)));
+      child.on('close', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`${this.command} exited with ${code}: ${stderr.trim().slice(-200)}`));
+      });
+    });
+    // Surface spawn errors through `await exited` below instead of as unhandled rejections
+    exited.catch(() => {});
+
+    const timeout = setTimeout(() => child.kill('SIGKILL'), this.timeoutMs);
+    const abort = () => child.kill('SIGKILL');
+    overrides.signal?.addEventListener('abort', abort, { once: true });
+    try {
+      overrides.signal?.throwIfAborted();
+      // Piper synthesizes one utterance per input line
+      child.stdin.on('error', () => {});
+      child.stdin.end(`${text.replace(/\s*\n\s*/g, ' ')}\n`);
+
+      for await (const chunk of child.stdout) {
+        const pcm = resample(chunk);
+        if (pcm.length > 0) yield pcm;
+      }
+      overrides.signal?.throwIfAborted();
+      await exited;
+    } finally {
+      clearTimeout(timeout);
+      overrides.signal?.removeEventListener('abort', abort);
+      if (child.exitCode === null) child.kill('SIGKILL');
+    }
+  }
+}
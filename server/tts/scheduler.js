@@ -0,0 +1,107 @@
+/**
+ * Concurrency limiter for TTS requests, one per provider and shared by all connections.
+ *
+ * Up to `concurrency` syntheses run at once. When the provider answers 429, everyone waits
+ * for its Retry-After (or an exponential backoff when it doesn't say) and the limit is
+ * halved; it grows back one step per `concurrency` successful requests in a row.
+ */
+
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+export class TTSScheduler {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - maximum parallel requests
+   */
+  constructor({ concurrency }) {
+    this.maxConcurrency = Math.max(1, concurrency);
+    this.limit = this.maxConcurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.pauseTimer = null;
+    this.backoffMs = 0;
+    this.successes = 0;
+  }
+
+  /**
+   * Wait for a slot. Resolves with a `release()` function that must be called when the
+   * request is over; rejects when `signal` aborts first.
+   */
+  acquire(signal) {
+    signal?.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiting = this.waiting.filter((w) => w !== waiter);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.waiting.push(waiter);
+      this.pump();
+    });
+  }
+
+  pump() {
+    const pauseMs = this.pausedUntil - Date.now();
+    if (pauseMs > 0) {
+      if (!this.pauseTimer) {
+        this.pauseTimer = setTimeout(() => {
+          this.pauseTimer = null;
+          this.pump();
+        }, pauseMs);
+      }
+      return;
+    }
+
+    while (this.active < this.limit && this.waiting.length > 0) {
+      const waiter = this.waiting.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      this.active++;
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        this.active--;
+        this.pump();
+      });
+    }
+  }
+
+  /**
+   * The provider answered 429: pause all requests and lower the concurrency.
+   *
+   * @param {number} [retryAfterMs] - from the Retry-After header, if the provider sent one
+   * @returns {number} how long requests are paused
+   */
+  rateLimited(retryAfterMs) {
+    this.backoffMs = Math.min(MAX_BACKOFF_MS, this.backoffMs ? this.backoffMs * 2 : BASE_BACKOFF_MS);
+    const delayMs = Number.isFinite(retryAfterMs) ? Math.min(retryAfterMs, MAX_BACKOFF_MS) : this.backoffMs;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    this.successes = 0;
+    return delayMs;
+  }
+
+  succeeded() {
+    this.backoffMs = 0;
+    if (this.limit < this.maxConcurrency && ++this.successes >= this.maxConcurrency) {
+      this.limit++;
+      this.successes = 0;
+      this.pump();
+    }
+  }
+
+  stats() {
+    return {
+      limit: this.limit,
+      maxConcurrency: this.maxConcurrency,
+      active: this.active,
+      waiting: this.waiting.length,
+      pausedMs: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+}
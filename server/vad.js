@@ -0,0 +1,119 @@
+/**
+ * Server-side voice activity detection for barge-in.
+ *
+ * Uplink audio keeps flowing through the detector while Donna is speaking. During playback
+ * the microphone also picks up our own TTS, so the detector is echo-aware: it learns the
+ * level of what it hears while playing back (the echo floor) separately from the room's
+ * noise floor, and only confirms speech that is clearly louder than that floor *and*
+ * sustained for `bargeInMs`. Outside playback a shorter `minSpeechMs` is enough.
+ *
+ * Works on PCM S16LE 16kHz mono in 20ms frames; the last `preRollMs` of audio is kept so
+ * the start of the interrupting sentence can be replayed into a fresh STT session.
+ */
+
+import { rmsS16 } from './audio.js';
+
+const FRAME_MS = 20;
+
+export class VoiceActivityDetector {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sampleRate=16000]
+   * @param {number} [options.speechRms=500]     - minimum RMS for speech outside playback
+   * @param {number} [options.bargeInRms=1500]   - minimum RMS for speech during playback
+   * @param {number} [options.floorRatio=3]      - speech must be this many times the learned floor
+   * @param {number} [options.minSpeechMs=120]   - sustained speech needed outside playback
+   * @param {number} [options.bargeInMs=300]     - sustained speech needed during playback
+   * @param {number} [options.preRollMs=400]
+   */
+  constructor({
+    sampleRate = 16000,
+    speechRms = 500,
+    bargeInRms = 1500,
+    floorRatio = 3,
+    minSpeechMs = 120,
+    bargeInMs = 300,
+    preRollMs = 400
+  } = {}) {
+    this.frameBytes = sampleRate * FRAME_MS / 1000 * 2;
+    this.speechRms = speechRms;
+    this.bargeInRms = bargeInRms;
+    this.floorRatio = floorRatio;
+    this.minSpeechMs = minSpeechMs;
+    this.bargeInMs = bargeInMs;
+    this.preRollFrames = Math.ceil(preRollMs / FRAME_MS);
+
+    this.noiseFloor = 0;
+    this.echoFloor = 0;
+    this.reset();
+  }
+
+  /**
+   * Forget the current speech run and buffered audio (the learned floors are kept).
+   */
+  reset() {
+    this.pending = Buffer.alloc(0);
+    this.frames = [];
+    this.speechMs = 0;
+    this.confirmed = false;
+  }
+
+  /**
+   * Feed uplink audio.
+   *
+   * @param {Buffer} pcm
+   * @param {object} [options]
+   * @param {boolean} [options.playback=false] - TTS is playing on the client (echo expected)
+   * @returns {boolean} true once per speech run, on the chunk where speech is confirmed
+   */
+  push(pcm, { playback = false } = {}) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, pcm]) : pcm;
+    let onset = false;
+
+    while (this.pending.length >= this.frameBytes) {
+      const frame = Buffer.from(this.pending.subarray(0, this.frameBytes));
+      this.pending = this.pending.subarray(this.frameBytes);
+      if (this.processFrame(frame, playback)) onset = true;
+    }
+    return onset;
+  }
+
+  processFrame(frame, playback) {
+    this.frames.push(frame);
+    if (this.frames.length > this.preRollFrames) this.frames.shift();
+
+    const level = rmsS16(frame);
+    const floor = playback ? this.echoFloor : this.noiseFloor;
+    const threshold = Math.max(playback ? this.bargeInRms : this.speechRms, floor * this.floorRatio);
+    const isSpeech = level >= threshold;
+
+    if (!isSpeech) {
+      // Floors follow quiet frames quickly and loud ones slowly, so speech can't drag them up
+      const alpha = level < floor ? 0.2 : 0.02;
+      if (playback) this.echoFloor += (level - this.echoFloor) * alpha;
+      else this.noiseFloor += (level - this.noiseFloor) * alpha;
+
+      // Short dips between syllables don't end the run; sustained quiet does
+      this.speechMs = Math.max(0, this.speechMs - 2 * FRAME_MS);
+      if (this.speechMs === 0) this.confirmed = false;
+      return false;
+    }
+
+    this.speechMs += FRAME_MS;
+    if (!this.confirmed && this.speechMs >= (playback ? this.bargeInMs : this.minSpeechMs)) {
+      this.confirmed = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Audio buffered around the speech onset, for replay into a new STT session.
+   * Clears the buffer.
+   */
+  takePreRoll() {
+    const audio = Buffer.concat(this.frames);
+    this.frames = [];
+    return audio;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Shared pieces of the command-line WebSocket clients (ws-test-client.js, replay.js):
+ * connecting with a token, sending uplink PCM in the chosen transport/codec, and WAV output.
+ */
+
+import WebSocket from 'ws';
+import fs from 'fs';
+import { encodeFrame } from './framing.js';
+import { createOpusEncoder } from './codec.js';
+
+export function connect(url, token) {
+  return new WebSocket(url, token ? { headers: { Authorization: `Bearer ${token}` } } : undefined);
+}
+
+/**
+ * Returns send(pcm) for PCM S16LE 16kHz mono uplink audio: base64 JSON or binary frames
+ * (see framing.js), PCM or Opus — matching what the client asked for in its hello.
+ */
+export function createAudioSender(ws, { transport = 'json', codec = 'pcm_s16le' } = {}) {
+  const opusEncoder = codec === 'opus' ? createOpusEncoder() : null;
+  let sequence = 0;
+
+  return (pcm) => {
+    const payloads = opusEncoder ? opusEncoder.encode(pcm) : [pcm];
+    if (transport === 'binary') {
+      for (const payload of payloads) ws.send(encodeFrame({ codec, sequence: sequence++ }, payload));
+    } else if (opusEncoder) {
+      ws.send(JSON.stringify({ type: 'audio', format: 'opus', packets: payloads.map((p) => p.toString('base64')) }));
+    } else {
+      ws.send(JSON.stringify({ type: 'audio', data: pcm.toString('base64') }));
+    }
+  };
+}
+
+export function silencePcm(seconds = 1, sampleRate = 16000) {
+  const samples = Math.floor(seconds * sampleRate);
+  // 16-bit LE mono => 2 bytes per sample
+  return Buffer.alloc(samples * 2);
+}
+
+export function writeWav16Mono(outPath, pcm, sampleRate = 16000) {
+  // Minimal WAV header for PCM S16LE mono
+  const numChannels = 1;
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * bitsPerSample / 8;
+  const blockAlign = numChannels * bitsPerSample / 8;
+  const dataSize = pcm.length;
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM fmt chunk size
+  header.writeUInt16LE(1, 20);  // audio format = PCM
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  fs.writeFileSync(outPath, Buffer.concat([header, pcm]));
+}
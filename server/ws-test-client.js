@@ -1,42 +1,17 @@
-import WebSocket from 'ws';
-import fs from 'fs';
 import path from 'path';
+import { decodeFrame } from './framing.js';
+import { createOpusDecoder } from './codec.js';
+import { connect, createAudioSender, silencePcm, writeWav16Mono } from './ws-client.js';
 
 const url = process.env.WS_URL || 'ws://127.0.0.1:8765';
+const token = process.env.WS_TOKEN; // device or signed token (npm run tokens -- issue <device>)
+const transport = process.env.WS_TRANSPORT || 'json'; // 'binary' => negotiated binary audio frames
+const codec = process.env.WS_CODEC || 'pcm_s16le';   // 'opus' => Opus in both directions
+const textInput = process.env.WS_TEXT;                 // send this as a typed `text` message instead of audio
+const outputMode = process.env.WS_OUTPUT_MODE;         // 'audio' | 'text' | 'both'
+const opusDecoder = codec === 'opus' ? createOpusDecoder() : null;
 
-function silencePcm(seconds = 1, sampleRate = 16000) {
-  const samples = Math.floor(seconds * sampleRate);
-  // 16-bit LE mono => 2 bytes per sample
-  return Buffer.alloc(samples * 2);
-}
-
-function writeWav16Mono(outPath, pcm, sampleRate = 16000) {
-  // Minimal WAV header for PCM S16LE mono
-  const numChannels = 1;
-  const bitsPerSample = 16;
-  const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-  const blockAlign = numChannels * bitsPerSample / 8;
-  const dataSize = pcm.length;
-
-  const header = Buffer.alloc(44);
-  header.write('RIFF', 0);
-  header.writeUInt32LE(36 + dataSize, 4);
-  header.write('WAVE', 8);
-  header.write('fmt ', 12);
-  header.writeUInt32LE(16, 16); // PCM fmt chunk size
-  header.writeUInt16LE(1, 20);  // audio format = PCM
-  header.writeUInt16LE(numChannels, 22);
-  header.writeUInt32LE(sampleRate, 24);
-  header.writeUInt32LE(byteRate, 28);
-  header.writeUInt16LE(blockAlign, 32);
-  header.writeUInt16LE(bitsPerSample, 34);
-  header.write('data', 36);
-  header.writeUInt32LE(dataSize, 40);
-
-  fs.writeFileSync(outPath, Buffer.concat([header, pcm]));
-}
-
-const ws = new WebSocket(url);
+const ws = connect(url, token);
 let outPcmChunks = [];
 let gotAudio = 0;
 
@@ -45,25 +20,47 @@ ws.on('open', () => {
   // Send a couple of silence chunks to trigger STT pipeline (server-side).
   // NOTE: If server ignores silence, speak into a real client; this script is mainly for verifying audio protocol.
   const pcm = silencePcm(0.5);
-  ws.send(JSON.stringify({ type: 'audio', data: pcm.toString('base64') }));
-  setTimeout(() => {
-    ws.send(JSON.stringify({ type: 'audio', data: pcm.toString('base64') }));
-  }, 200);
+  const sendAudio = createAudioSender(ws, { transport, codec });
+  const sendPcm = () => sendAudio(pcm);
+
+  if (transport !== 'json' || codec !== 'pcm_s16le' || outputMode) {
+    ws.send(JSON.stringify({ type: 'hello', transport, codec, ...(outputMode && { settings: { outputMode } }) }));
+  }
+  if (textInput) {
+    ws.send(JSON.stringify({ type: 'text', text: textInput }));
+    return;
+  }
+  sendPcm();
+  setTimeout(sendPcm, 200);
 });
 
-ws.on('message', (data) => {
+ws.on('message', (data, isBinary) => {
+  if (isBinary) {
+    const frame = decodeFrame(data);
+    if (frame.codec !== codec || frame.sampleRate !== 16000 || frame.channels !== 1) {
+      console.log('audio: unexpected format', { codec: frame.codec, sampleRate: frame.sampleRate, channels: frame.channels });
+      return;
+    }
+    outPcmChunks.push(opusDecoder ? opusDecoder.decode(frame.payload) : frame.payload);
+    gotAudio++;
+    console.log(`audio frame stream=${frame.streamId} seq=${frame.sequence}: ${frame.payload.length} bytes`);
+    return;
+  }
+
   const text = data.toString();
   let msg;
   try { msg = JSON.parse(text); } catch { return; }
 
   if (msg.type === 'audio') {
     const { format, sampleRate, channels } = msg;
-    if (format !== 'pcm_s16le' || sampleRate !== 16000 || channels !== 1) {
+    if (format !== codec || sampleRate !== 16000 || channels !== 1) {
       console.log('audio: unexpected format', { format, sampleRate, channels, bytes: (msg.data?.length || 0) });
       return;
     }
 
-    const pcm = Buffer.from(msg.data, 'base64');
+    const pcm = opusDecoder
+      ? Buffer.concat(msg.packets.map((p) => opusDecoder.decode(Buffer.from(p, 'base64'))))
+      : Buffer.from(msg.data, 'base64');
     outPcmChunks.push(pcm);
     gotAudio++;
     console.log(`audio chunk #${msg.index ?? '?'}: ${pcm.length} bytes`);
@@ -75,10 +72,21 @@ ws.on('message', (data) => {
     writeWav16Mono(outPath, pcm, 16000);
     console.log(`wrote ${outPath} (${pcm.length} bytes PCM, ${gotAudio} chunks)`);
     ws.close();
+  } else if (msg.type === 'transport') {
+    console.log('transport', msg.transport, msg.codec);
   } else if (msg.type === 'state') {
     console.log('state', msg.state);
   } else if (msg.type === 'transcript') {
     console.log('transcript', msg.text);
+  } else if (msg.type === 'transcript_partial') {
+    console.log('transcript_partial', msg.text);
+  } else if (msg.type === 'audio_text') {
+    console.log(`audio_text #${msg.index}: ${msg.text}`);
+  } else if (msg.type === 'response_delta') {
+    process.stdout.write(msg.text);
+  } else if (msg.type === 'response_done') {
+    console.log(`\nresponse_done (${msg.text.length} chars)`);
+    if (outputMode === 'text') ws.close();
   } else if (msg.type === 'error') {
     console.log('error', msg.error);
   }